@@ -0,0 +1,123 @@
+// ============================================================================
+// HAND EVALUATOR BENCHMARK & CROSS-CHECK
+// ============================================================================
+//
+// Usage: node benchmark-evaluator.js [--hands 200000] [--verify 1000000] [--seed 1]
+//
+// Times the fast evaluator against the exhaustive 21-combination evaluator and
+// then checks that both agree on --verify random 5, 6 and 7 card hands, under
+// both the standard and the short-deck ranking tables.
+
+const { HandEvaluator, Deck, SeededRandom, GAME_VARIANTS } = require('./game-engine.js');
+
+function parseArgs(argv) {
+    const options = { hands: 200000, verify: 1000000, seed: 1 };
+    for (let i = 0; i < argv.length; i += 2) {
+        const key = argv[i].replace(/^--/, '');
+        if (key in options) {
+            options[key] = parseInt(argv[i + 1], 10);
+        }
+    }
+    return options;
+}
+
+function randomHands(count, size, rng) {
+    const deck = new Deck(rng);
+    const hands = [];
+    for (let i = 0; i < count; i++) {
+        // Partial Fisher-Yates: only the first `size` cards need shuffling
+        for (let j = 0; j < size; j++) {
+            const k = j + rng.nextInt(52 - j);
+            [deck.cards[j], deck.cards[k]] = [deck.cards[k], deck.cards[j]];
+        }
+        hands.push(deck.cards.slice(0, size));
+    }
+    return hands;
+}
+
+function time(label, count, fn) {
+    const start = process.hrtime.bigint();
+    fn();
+    const elapsedMs = Number(process.hrtime.bigint() - start) / 1e6;
+    const perSecond = Math.round(count / (elapsedMs / 1000));
+    console.log(`${label.padEnd(28)} ${elapsedMs.toFixed(0).padStart(7)} ms  ${perSecond.toLocaleString().padStart(12)} hands/s`);
+}
+
+function benchmark(options) {
+    const rng = new SeededRandom(options.seed);
+    const hands = randomHands(options.hands, 7, rng);
+    const codes = hands.map(hand => hand.map(c => c.code));
+    const exhaustiveCount = Math.min(options.hands, 50000);
+    let sink = 0;
+
+    console.log(`\nBenchmarking ${options.hands.toLocaleString()} random 7-card hands\n`);
+
+    time('exhaustive evaluateHand', exhaustiveCount, () => {
+        for (let i = 0; i < exhaustiveCount; i++) {
+            sink += HandEvaluator.evaluateHandExhaustive(hands[i]).ranking;
+        }
+    });
+
+    time('evaluateHand', options.hands, () => {
+        for (let i = 0; i < options.hands; i++) {
+            sink += HandEvaluator.evaluateHand(hands[i]).ranking;
+        }
+    });
+
+    time('scoreCodes', options.hands, () => {
+        for (let i = 0; i < options.hands; i++) {
+            sink += HandEvaluator.scoreCodes(codes[i]);
+        }
+    });
+
+    return sink;
+}
+
+function crossCheck(options, variant) {
+    const rng = new SeededRandom(options.seed + 1);
+    const deck = new Deck(rng, variant.ranks);
+    const rules = variant.handRules;
+    const sizes = [5, 6, 7];
+    let mismatches = 0;
+
+    console.log(`\nCross-checking ${options.verify.toLocaleString()} random ${variant.name} hands against the exhaustive evaluator`);
+
+    for (let i = 0; i < options.verify; i++) {
+        const size = sizes[i % sizes.length];
+        for (let j = 0; j < size; j++) {
+            const k = j + rng.nextInt(deck.cards.length - j);
+            [deck.cards[j], deck.cards[k]] = [deck.cards[k], deck.cards[j]];
+        }
+        const hand = deck.cards.slice(0, size);
+
+        const fast = HandEvaluator.evaluateHand(hand, rules);
+        const reference = HandEvaluator.evaluateHandExhaustive(hand, rules);
+
+        // The five cards reported must themselves make the reported hand
+        const reported = HandEvaluator.evaluate5Cards(fast.cards, rules);
+
+        const agrees = fast.ranking === reference.ranking &&
+            fast.values.join(',') === reference.values.join(',') &&
+            fast.name === reference.name &&
+            HandEvaluator.compareHands(reported, reference) === 0;
+
+        if (!agrees) {
+            mismatches++;
+            if (mismatches <= 10) {
+                console.log(`MISMATCH: ${hand.join(' ')} -> fast ${fast.name} [${fast.values}] vs reference ${reference.name} [${reference.values}]`);
+            }
+        }
+    }
+
+    if (mismatches === 0) {
+        console.log('SUCCESS: Fast evaluator agrees with the exhaustive evaluator.');
+    } else {
+        console.log(`FAILURE: ${mismatches} mismatching hands.`);
+        process.exitCode = 1;
+    }
+}
+
+const options = parseArgs(process.argv.slice(2));
+benchmark(options);
+crossCheck(options, GAME_VARIANTS.TEXAS_HOLDEM);
+crossCheck(options, GAME_VARIANTS.SHORT_DECK);
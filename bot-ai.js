@@ -11,6 +11,11 @@ const BOT_PERSONALITIES = {
     ADAPTIVE: 'adaptive'
 };
 
+// In the browser these are loaded by earlier <script> tags
+const BOT_IMPORTS = typeof module !== 'undefined' && module.exports
+    ? { ...require('./game-engine.js'), ...require('./icm.js'), ...require('./push-fold.js') }
+    : { HandEvaluator, SeededRandom, ICMCalculator, PushFoldSolver };
+
 // ============================================================================
 // HAND STRENGTH CALCULATOR
 // ============================================================================
@@ -52,13 +57,81 @@ class HandStrengthCalculator {
         return Math.min(Math.max(score / 20, 0), 1);
     }
 
+    // Pre-flop strength of a four-card Omaha hand (simplified Hutchinson-style
+    // points): pairs, suits and connectedness all matter, single high cards less so
+    static evaluatePreFlopOmaha(holeCards) {
+        const values = holeCards.map(c => c.value).sort((a, b) => b - a);
+        let score = 0;
+
+        // High cards
+        for (let value of values) {
+            if (value === 14) score += 4;
+            else if (value >= 10) score += 2;
+        }
+
+        // Pairs (trips or quads in the hand waste cards)
+        const rankCounts = {};
+        for (let value of values) {
+            rankCounts[value] = (rankCounts[value] || 0) + 1;
+        }
+        for (let value in rankCounts) {
+            const count = rankCounts[value];
+            if (count === 2) score += value >= 10 ? value / 2 + 2 : value / 3;
+            else if (count >= 3) score -= 4;
+        }
+
+        // Suitedness: double-suited is best, an ace-high suit adds nut potential
+        const suitCards = {};
+        for (let card of holeCards) {
+            (suitCards[card.suit] = suitCards[card.suit] || []).push(card);
+        }
+        let suitedGroups = 0;
+        for (let suit in suitCards) {
+            const cards = suitCards[suit];
+            if (cards.length === 2 || cards.length === 3) {
+                suitedGroups++;
+                score += cards.some(c => c.value === 14) ? 4 : 2;
+            }
+        }
+        if (suitedGroups > 2) score -= 2;
+
+        // Connectedness: distinct ranks that fit inside one five-rank window
+        const distinct = [...new Set(values)];
+        let bestWindow = 1;
+        for (let high of distinct) {
+            const inWindow = distinct.filter(v => v <= high && v > high - 5).length;
+            bestWindow = Math.max(bestWindow, inWindow);
+        }
+        score += (bestWindow - 1) * 2.5;
+
+        // Normalize to 0-1 (AAKK double suited scores about 40)
+        return Math.min(Math.max(score / 40, 0), 1);
+    }
+
     // Post-flop hand strength (simplified Monte Carlo)
-    static evaluatePostFlop(holeCards, communityCards, numOpponents = 5) {
+    // Rough chance of winning at showdown, for comparing with the equity a
+    // call needs. Pre-flop strength is squeezed into the 30-80% range that
+    // heads-up hands actually span.
+    static estimateEquity(holeCards, communityCards, numOpponents = 1, variant = null) {
+        if (communityCards.length === 0) {
+            const strength = holeCards.length === 4
+                ? this.evaluatePreFlopOmaha(holeCards)
+                : this.evaluatePreFlop(holeCards[0], holeCards[1]);
+            return (0.3 + strength * 0.5) * Math.pow(0.8, Math.max(numOpponents - 1, 0));
+        }
+        return this.evaluatePostFlop(holeCards, communityCards, numOpponents, variant);
+    }
+
+    static evaluatePostFlop(holeCards, communityCards, numOpponents = 5, variant = null) {
+        const { HandEvaluator } = BOT_IMPORTS;
         // For performance, use a simplified heuristic instead of full Monte Carlo
         const allCards = [...holeCards, ...communityCards];
+        const isOmaha = variant && variant.evaluation === 'omaha';
 
         try {
-            const currentHand = HandEvaluator.evaluateHand(allCards);
+            const currentHand = variant
+                ? HandEvaluator.evaluateForVariant(holeCards, communityCards, variant)
+                : HandEvaluator.evaluateHand(allCards);
 
             // Base strength on hand ranking
             let strength = currentHand.ranking / 10;
@@ -71,15 +144,34 @@ class HandStrengthCalculator {
             // Reduce strength based on number of opponents
             strength *= Math.pow(0.95, numOpponents - 1);
 
+            // Omaha hands run much closer together, so a made hand is worth less
+            if (isOmaha) {
+                strength *= 0.85;
+            }
+
             // Check for draws
-            const drawPotential = this.evaluateDrawPotential(holeCards, communityCards);
+            const drawPotential = isOmaha
+                ? this.evaluateOmahaDrawPotential(holeCards, communityCards)
+                : this.evaluateDrawPotential(holeCards, communityCards);
             strength += drawPotential * 0.15;
 
             return Math.min(Math.max(strength, 0), 1);
         } catch (e) {
             // Not enough cards yet, return pre-flop strength
-            return this.evaluatePreFlop(holeCards[0], holeCards[1]);
+            return isOmaha
+                ? this.evaluatePreFlopOmaha(holeCards)
+                : this.evaluatePreFlop(holeCards[0], holeCards[1]);
+        }
+    }
+
+    // Omaha draws must use exactly two hole cards, so take the best two-card subset
+    static evaluateOmahaDrawPotential(holeCards, communityCards) {
+        const { HandEvaluator } = BOT_IMPORTS;
+        let best = 0;
+        for (let pair of HandEvaluator.getCombinations(holeCards, 2)) {
+            best = Math.max(best, this.evaluateDrawPotential(pair, communityCards));
         }
+        return best;
     }
 
     static evaluateDrawPotential(holeCards, communityCards) {
@@ -136,12 +228,13 @@ class PotOddsCalculator {
         return 1 / (potOdds + 1);
     }
 
-    static shouldCall(handStrength, potSize, callAmount) {
+    static shouldCall(handStrength, potSize, callAmount, rng = null) {
         const potOdds = this.calculate(potSize, callAmount);
         const requiredEquity = this.getRequiredEquity(potOdds);
 
         // Add some variance for realism
-        const adjustedStrength = handStrength + (Math.random() - 0.5) * 0.1;
+        const random = rng ? rng.next() : Math.random();
+        const adjustedStrength = handStrength + (random - 0.5) * 0.1;
 
         return adjustedStrength >= requiredEquity;
     }
@@ -163,6 +256,8 @@ class BotPersonality {
                 this.aggressionFactor = 3.5; // Raises often
                 this.bluffFrequency = 0.12;
                 this.foldToPressure = 0.3;
+                this.straddleFrequency = 0.2; // Chance of straddling when the table allows it
+                this.runItTwiceFrequency = 0.7; // Chance of agreeing to run it twice
                 break;
 
             case BOT_PERSONALITIES.LOOSE_AGGRESSIVE:
@@ -170,6 +265,8 @@ class BotPersonality {
                 this.aggressionFactor = 4.0; // Very aggressive
                 this.bluffFrequency = 0.20;
                 this.foldToPressure = 0.25;
+                this.straddleFrequency = 0.6;
+                this.runItTwiceFrequency = 0.4;
                 break;
 
             case BOT_PERSONALITIES.TIGHT_PASSIVE:
@@ -177,6 +274,8 @@ class BotPersonality {
                 this.aggressionFactor = 1.2; // Rarely raises
                 this.bluffFrequency = 0.03;
                 this.foldToPressure = 0.55;
+                this.straddleFrequency = 0;
+                this.runItTwiceFrequency = 0.9;
                 break;
 
             case BOT_PERSONALITIES.LOOSE_PASSIVE:
@@ -184,6 +283,8 @@ class BotPersonality {
                 this.aggressionFactor = 1.0; // Calls more than raises
                 this.bluffFrequency = 0.05;
                 this.foldToPressure = 0.40;
+                this.straddleFrequency = 0.3;
+                this.runItTwiceFrequency = 0.5;
                 break;
 
             case BOT_PERSONALITIES.ADAPTIVE:
@@ -191,10 +292,16 @@ class BotPersonality {
                 this.aggressionFactor = 2.5;
                 this.bluffFrequency = 0.10;
                 this.foldToPressure = 0.35;
+                this.straddleFrequency = 0.25;
+                this.runItTwiceFrequency = 0.6;
                 this.isAdaptive = true;
                 this.playerStats = {}; // Track opponent behavior
                 break;
         }
+
+        // Stack in big blinds at or below which pre-flop play follows the
+        // push/fold equilibrium charts (0 turns them off)
+        this.pushFoldThreshold = 10;
     }
 
     // Adaptive bot learns from player behavior
@@ -244,8 +351,9 @@ class BotPersonality {
 // ============================================================================
 
 class BotDecisionEngine {
-    constructor(personality) {
+    constructor(personality, rng = new BOT_IMPORTS.SeededRandom()) {
         this.personality = personality;
+        this.rng = rng; // Shared with the game so whole sessions replay from a seed
     }
 
     makeDecision(gameState, botPlayer) {
@@ -257,33 +365,123 @@ class BotDecisionEngine {
             minRaise,
             activePlayers,
             position,
-            bigBlind
+            bigBlind,
+            variant
         } = gameState;
 
-        const playerBet = botPlayer.currentBet || 0;
-        const callAmount = currentBet - playerBet;
+        // The game's legal actions say what a call costs and how far the bot
+        // may raise; a bare game state falls back to the bot's own arithmetic
+        const legal = gameState.legalActions || null;
+        const callAmount = legal ? legal.callAmount : currentBet - (botPlayer.currentBet || 0);
         const stack = botPlayer.stack;
 
-        // Pre-flop decision
-        if (communityCards.length === 0) {
-            return this.makePreFlopDecision(holeCards, callAmount, stack, currentBet, position, bigBlind, potSize);
+        const decision = communityCards.length === 0
+            ? this.makePreFlopDecision(holeCards, callAmount, stack, currentBet, position, bigBlind, potSize,
+                this.getPushFoldSpot(gameState, botPlayer))
+            : this.makePostFlopDecision(
+                holeCards,
+                communityCards,
+                callAmount,
+                stack,
+                currentBet,
+                potSize,
+                activePlayers.length,
+                position,
+                variant
+            );
+
+        // Tournaments: prize money, not chips, decides big calls
+        const adjusted = gameState.icm && callAmount > 0
+            ? this.applyIcmPressure(decision, gameState, callAmount, stack)
+            : decision;
+        return legal ? this.fitToLegalActions(adjusted, legal) : adjusted;
+    }
+
+    // Keeps a decision within the legal actions: folds become checks when
+    // checking is free, raises that aren't allowed become calls, and bet and
+    // raise sizes ("raise to" totals) are clamped to the legal range, going
+    // all-in once they reach the stack
+    fitToLegalActions(decision, legal) {
+        const passive = legal.callAmount > 0 ? { action: 'call', amount: legal.callAmount } : { action: 'check' };
+
+        switch (decision.action) {
+            case 'fold':
+                return legal.callAmount > 0 ? decision : passive;
+            case 'check':
+            case 'call':
+                return decision.action === 'check' && legal.callAmount > 0 ? { action: 'fold' } : passive;
+            case 'all-in':
+                if (legal.actions.includes('all-in')) {
+                    return { action: 'all-in', amount: legal.allInAmount };
+                }
+                break;
         }
 
-        // Post-flop decision
-        return this.makePostFlopDecision(
-            holeCards,
-            communityCards,
-            callAmount,
-            stack,
-            currentBet,
-            potSize,
-            activePlayers.length,
-            position
-        );
+        if (legal.maxAmount === null) return passive;
+
+        const amount = decision.action === 'all-in'
+            ? legal.maxAmount
+            : Math.min(Math.max(decision.amount || 0, legal.minAmount), legal.maxAmount);
+        if (amount === legal.allInAmount) {
+            return { action: 'all-in', amount };
+        }
+        return { action: legal.actions.includes('raise') ? 'raise' : 'bet', amount };
+    }
+
+    // Whether to straddle when in the straddle seat of a table that allows it
+    wantsToStraddle() {
+        return this.rng.next() < this.personality.straddleFrequency;
+    }
+
+    // Whether to agree to run the board twice when all-in on a table that allows it
+    wantsToRunItTwice() {
+        return this.rng.next() < this.personality.runItTwiceFrequency;
+    }
+
+    // Near the bubble losing a stack costs more prize money than doubling it
+    // wins, so a call needs more equity than the pot odds say. Folds calls
+    // (and raises) risking a big share of the stack whose estimated equity is
+    // below what ICM requires.
+    applyIcmPressure(decision, gameState, callAmount, stack) {
+        const { ICMCalculator } = BOT_IMPORTS;
+        if (decision.action === 'fold' || decision.action === 'check') return decision;
+        // Small calls don't put the tournament at stake
+        if (callAmount < stack * 0.25) return decision;
+
+        const { icm, potSize, holeCards, communityCards, activePlayers, variant } = gameState;
+        const ev = ICMCalculator.callEV({
+            stacks: icm.stacks,
+            payouts: icm.payouts,
+            hero: icm.hero,
+            villain: icm.villain,
+            pot: potSize,
+            toCall: callAmount
+        });
+        if (ev.requiredEquity - ev.chipRequiredEquity < 0.02) return decision;
+
+        const equity = HandStrengthCalculator.estimateEquity(holeCards, communityCards, activePlayers.length - 1, variant);
+        return equity < ev.requiredEquity ? { action: 'fold' } : decision;
     }
 
-    makePreFlopDecision(holeCards, callAmount, stack, currentBet, position, bigBlind, potSize) {
-        const handStrength = HandStrengthCalculator.evaluatePreFlop(holeCards[0], holeCards[1]);
+    // Depth in big blinds and ante of a short stack that should play push/fold,
+    // or null. The charts are for Texas Hold'em only.
+    getPushFoldSpot(gameState, botPlayer) {
+        const { holeCards, variant, bigBlind, ante } = gameState;
+        const threshold = this.personality.pushFoldThreshold;
+        if (!(threshold > 0) || holeCards.length !== 2 || (variant && variant.id !== 'holdem')) return null;
+
+        const depth = (botPlayer.stack + (botPlayer.currentBet || 0)) / bigBlind;
+        return depth <= threshold ? { depth, ante: (ante || 0) / bigBlind } : null;
+    }
+
+    makePreFlopDecision(holeCards, callAmount, stack, currentBet, position, bigBlind, potSize, pushFold = null) {
+        if (pushFold) {
+            return this.makePushFoldDecision(holeCards, callAmount, stack, currentBet, bigBlind, pushFold);
+        }
+
+        const handStrength = holeCards.length === 4
+            ? HandStrengthCalculator.evaluatePreFlopOmaha(holeCards)
+            : HandStrengthCalculator.evaluatePreFlop(holeCards[0], holeCards[1]);
 
         // Position adjustment (later position = more liberal)
         const positionMultiplier = position === 'late' ? 0.9 : position === 'middle' ? 1.0 : 1.1;
@@ -301,7 +499,7 @@ class BotDecisionEngine {
         // Strong hand - decide between call and raise
         if (callAmount === 0) {
             // No bet yet - check or bet
-            if (Math.random() < handStrength * this.personality.aggressionFactor * 0.15) {
+            if (this.rng.next() < handStrength * this.personality.aggressionFactor * 0.15) {
                 const betSize = this.calculateBetSize(potSize, stack, handStrength);
                 return { action: 'bet', amount: betSize };
             }
@@ -309,7 +507,7 @@ class BotDecisionEngine {
         }
 
         // Facing a bet
-        const shouldRaise = Math.random() < (handStrength - adjustedThreshold + 0.2) * this.personality.aggressionFactor * 0.2;
+        const shouldRaise = this.rng.next() < (handStrength - adjustedThreshold + 0.2) * this.personality.aggressionFactor * 0.2;
 
         if (shouldRaise && stack > callAmount * 2) {
             const raiseSize = this.calculateRaiseSize(currentBet, potSize, stack, handStrength);
@@ -324,17 +522,32 @@ class BotDecisionEngine {
         return { action: 'call', amount: callAmount };
     }
 
-    makePostFlopDecision(holeCards, communityCards, callAmount, stack, currentBet, potSize, numOpponents, position) {
-        const handStrength = HandStrengthCalculator.evaluatePostFlop(holeCards, communityCards, numOpponents);
+    // Shoves first in with the small blind's equilibrium range and answers a
+    // raise by moving in with the big blind's calling range. The charts are
+    // solved heads-up, so they are loose when several players are left to act.
+    makePushFoldDecision(holeCards, callAmount, stack, currentBet, bigBlind, pushFold) {
+        const { PushFoldSolver } = BOT_IMPORTS;
+        const charts = PushFoldSolver.charts(pushFold.depth, pushFold.ante);
+        const hand = PushFoldSolver.classOf(holeCards[0], holeCards[1]);
+        const unraised = currentBet <= bigBlind;
+
+        if ((unraised ? charts.shove : charts.call).has(hand)) {
+            return { action: 'all-in', amount: stack };
+        }
+        return callAmount === 0 ? { action: 'check' } : { action: 'fold' };
+    }
+
+    makePostFlopDecision(holeCards, communityCards, callAmount, stack, currentBet, potSize, numOpponents, position, variant = null) {
+        const handStrength = HandStrengthCalculator.evaluatePostFlop(holeCards, communityCards, numOpponents, variant);
 
         // Check if we should bluff
-        const shouldBluff = Math.random() < this.personality.bluffFrequency;
+        const shouldBluff = this.rng.next() < this.personality.bluffFrequency;
         const effectiveStrength = shouldBluff ? Math.min(handStrength + 0.3, 1) : handStrength;
 
         // Facing a bet
         if (callAmount > 0) {
             // Check pot odds
-            const shouldCallByOdds = PotOddsCalculator.shouldCall(effectiveStrength, potSize, callAmount);
+            const shouldCallByOdds = PotOddsCalculator.shouldCall(effectiveStrength, potSize, callAmount, this.rng);
 
             // Fold to pressure based on personality
             const pressureRatio = callAmount / Math.max(stack, 1);
@@ -343,7 +556,7 @@ class BotDecisionEngine {
             }
 
             // Strong hand or good odds - raise or call
-            if (effectiveStrength > 0.45 && Math.random() < this.personality.aggressionFactor * 0.35) {
+            if (effectiveStrength > 0.45 && this.rng.next() < this.personality.aggressionFactor * 0.35) {
                 const raiseSize = this.calculateRaiseSize(currentBet, potSize, stack, effectiveStrength);
                 if (raiseSize <= stack) {
                     return { action: 'raise', amount: raiseSize };
@@ -362,7 +575,7 @@ class BotDecisionEngine {
         }
 
         // No bet to us - check or bet
-        if (effectiveStrength > 0.4 && Math.random() < this.personality.aggressionFactor * 0.3) {
+        if (effectiveStrength > 0.4 && this.rng.next() < this.personality.aggressionFactor * 0.3) {
             const betSize = this.calculateBetSize(potSize, stack, effectiveStrength);
             return { action: 'bet', amount: betSize };
         }
@@ -0,0 +1,393 @@
+// ============================================================================
+// BOT SIMULATION
+// ============================================================================
+//
+// Seats bots against each other on a headless TexasHoldemGame and measures how
+// they do. Cash games top every stack back up before each hand, so every hand
+// is an independent sample for bb/100; tournaments play freezeouts with
+// doubling blinds until one bot has all the chips. The seating order rotates
+// (every `rotateEvery` hands, or every tournament) so no bot keeps the same
+// neighbours and positional luck evens out.
+//
+// See simulate-bots.js for the command line front end.
+
+// In the browser these are loaded by earlier <script> tags
+const SIMULATION_IMPORTS = typeof module !== 'undefined' && module.exports
+    ? { ...require('./bot-ai.js'), ...require('./main.js') }
+    : { BotPersonality, BotDecisionEngine, BOT_PERSONALITIES, TexasHoldemGame, Player };
+
+// BotPersonality fields a bot spec may override
+const SIMULATION_PARAMETERS = ['preFlopThreshold', 'aggressionFactor', 'bluffFrequency', 'foldToPressure', 'pushFoldThreshold'];
+
+// Two-sided 95% normal quantile for the confidence intervals
+const SIMULATION_Z_95 = 1.96;
+
+class BotSimulation {
+    constructor(options = {}) {
+        const { BOT_PERSONALITIES } = SIMULATION_IMPORTS;
+        this.bots = (options.bots || Object.values(BOT_PERSONALITIES)).map(spec =>
+            typeof spec === 'string' ? BotSimulation.parseBotSpec(spec) : BotSimulation.normalizeBotSpec(spec));
+        if (this.bots.length < 2 || this.bots.length > 10) {
+            throw new Error(`A simulation needs 2 to 10 bots, got ${this.bots.length}`);
+        }
+        BotSimulation.nameBots(this.bots);
+
+        this.hands = options.hands !== undefined ? options.hands : 1000;
+        this.tournaments = options.tournaments || 0;
+        this.seed = options.seed !== undefined ? options.seed >>> 0 : 1;
+        this.startingStack = options.startingStack || 1000;
+        this.smallBlind = options.smallBlind || 5;
+        this.bigBlind = options.bigBlind || 10;
+        this.rotateEvery = options.rotateEvery || 100;
+        // Tournaments double the blinds every `levelHands` hands
+        this.levelHands = options.levelHands || 50;
+        this.maxTournamentHands = options.maxTournamentHands || 5000;
+        this.variant = options.variant;
+        this.rake = options.rake || null;
+    }
+
+    // "loose_aggressive" or "LOOSE_AGGRESSIVE:bluffFrequency=0.3,foldToPressure=0.2"
+    static parseBotSpec(text) {
+        const [type, params = ''] = text.split(':');
+        const spec = { type, params: {} };
+        for (let pair of params.split(',').filter(Boolean)) {
+            const [key, value] = pair.split('=');
+            spec.params[key.trim()] = parseFloat(value);
+        }
+        return this.normalizeBotSpec(spec);
+    }
+
+    static normalizeBotSpec(spec) {
+        const { BOT_PERSONALITIES } = SIMULATION_IMPORTS;
+        const type = BOT_PERSONALITIES[spec.type.toUpperCase()] || spec.type.toLowerCase();
+        if (!Object.values(BOT_PERSONALITIES).includes(type)) {
+            throw new Error(`Unknown bot personality: ${spec.type}`);
+        }
+
+        const params = spec.params || {};
+        for (let [key, value] of Object.entries(params)) {
+            if (!SIMULATION_PARAMETERS.includes(key)) {
+                throw new Error(`Unknown bot parameter: ${key} (expected one of ${SIMULATION_PARAMETERS.join(', ')})`);
+            }
+            if (!Number.isFinite(value)) {
+                throw new Error(`Bot parameter ${key} needs a number`);
+            }
+        }
+        return { type, params, name: spec.name || null };
+    }
+
+    // Default names are the personality plus any overrides, numbered when repeated
+    static nameBots(bots) {
+        const counts = {};
+        for (let bot of bots) {
+            if (!bot.name) {
+                const overrides = Object.entries(bot.params).map(([key, value]) => `${key}=${value}`);
+                bot.name = overrides.length ? `${bot.type} (${overrides.join(', ')})` : bot.type;
+            }
+            counts[bot.name] = (counts[bot.name] || 0) + 1;
+        }
+        const seen = {};
+        for (let bot of bots) {
+            if (counts[bot.name] > 1) {
+                seen[bot.name] = (seen[bot.name] || 0) + 1;
+                bot.name = `${bot.name} #${seen[bot.name]}`;
+            }
+        }
+    }
+
+    run() {
+        this.stats = this.bots.map(() => BotSimulation.emptyStats());
+        this.violations = [];
+        const report = {
+            seed: this.seed,
+            variant: null,
+            smallBlind: this.smallBlind,
+            bigBlind: this.bigBlind,
+            startingStack: this.startingStack,
+            hands: this.hands,
+            tournaments: this.tournaments,
+            tournamentHands: 0
+        };
+
+        if (this.hands > 0) {
+            report.variant = this.runCashGame().variant.id;
+        }
+        for (let t = 0; t < this.tournaments; t++) {
+            const game = this.runTournament(t);
+            report.variant = game.variant.id;
+            report.tournamentHands += game.handNumber;
+        }
+
+        report.chipViolations = this.violations.length;
+        report.violations = this.violations.slice(0, 20);
+        report.bots = this.bots.map((bot, i) => this.summarize(bot, this.stats[i]));
+        return report;
+    }
+
+    // Tournament chips belong to the prize pool, so only cash games are raked
+    createGame(seed, rake = this.rake) {
+        const { BotPersonality, BotDecisionEngine, TexasHoldemGame, Player } = SIMULATION_IMPORTS;
+        const game = new TexasHoldemGame((event, data) => {
+            if (event === 'integrityError') {
+                this.violations.push({ handNumber: game.handNumber, message: data.message });
+            }
+        }, {
+            seed, variant: this.variant, tableName: 'Simulation',
+            table: {
+                seats: this.bots.length, startingStack: this.startingStack,
+                smallBlind: this.smallBlind, bigBlind: this.bigBlind, rake
+            }
+        });
+
+        // Player ids are the bots' indexes so stats follow the bot around the table
+        this.bots.forEach((bot, i) => {
+            const personality = new BotPersonality(bot.type, bot.name);
+            Object.assign(personality, bot.params);
+            const player = new Player(i, bot.name, this.startingStack, false, personality);
+            player.decisionEngine = new BotDecisionEngine(personality, game.rng);
+            game.seatPlayer(player, i);
+        });
+        return game;
+    }
+
+    // Moves everyone one seat to the left
+    rotateSeats(game) {
+        game.seats.push(game.seats.shift());
+        game.seats.forEach((player, seat) => {
+            if (player) player.seat = seat;
+        });
+    }
+
+    runCashGame() {
+        const game = this.createGame(this.seed);
+
+        for (let hand = 0; hand < this.hands; hand++) {
+            if (hand > 0 && hand % this.rotateEvery === 0) {
+                this.rotateSeats(game);
+            }
+
+            // Reset every stack, and tell the integrity check about the chips added or removed
+            for (let player of game.getSeatedPlayers()) {
+                game.addChips(this.startingStack - player.stack);
+                player.stack = this.startingStack;
+            }
+
+            this.playHand(game, (player, net) => {
+                const stats = this.stats[player.id];
+                stats.hands++;
+                stats.net += net;
+                stats.sumSquares += (net / this.bigBlind) ** 2;
+            });
+        }
+        return game;
+    }
+
+    runTournament(index) {
+        const game = this.createGame((this.seed + index + 1) >>> 0, null);
+        for (let r = 0; r < index % this.bots.length; r++) {
+            this.rotateSeats(game);
+        }
+
+        const places = [];
+        let handsPlayed = 0;
+        // Busted bots leave their seats when the next hand starts
+        const remaining = () => game.getSeatedPlayers().filter(p => p.stack > 0);
+        while (remaining().length > 1 && handsPlayed < this.maxTournamentHands) {
+            const level = Math.floor(handsPlayed / this.levelHands);
+            game.smallBlind = this.smallBlind * 2 ** level;
+            game.bigBlind = this.bigBlind * 2 ** level;
+
+            const startStacks = new Map(game.players.map(p => [p.id, p.stack]));
+            this.playHand(game, () => { });
+            handsPlayed++;
+
+            // Bots busted in the same hand take the next places down, bigger starting stack first
+            const busted = game.players.filter(p => p.stack === 0)
+                .sort((a, b) => startStacks.get(b.id) - startStacks.get(a.id));
+            places.unshift(...busted.map(p => p.id));
+        }
+
+        // Anyone left when the hand limit hits is placed by chip count
+        places.unshift(...remaining().sort((a, b) => b.stack - a.stack).map(p => p.id));
+
+        places.forEach((botIndex, place) => {
+            const stats = this.stats[botIndex];
+            stats.tournaments++;
+            stats.placeSum += place + 1;
+            if (place === 0) stats.tournamentWins++;
+        });
+        return game;
+    }
+
+    // Deals and plays one hand, then checks chip conservation and collects stats
+    playHand(game, onResult) {
+        const before = new Map(game.getSeatedPlayers().map(p => [p.id, p.stack]));
+        const rakeBefore = game.totalRake;
+
+        game.scheduler.clear();
+        game.startNewHand();
+        if (!game.runUntilHandComplete()) {
+            throw new Error(`Hand #${game.handNumber} did not finish`);
+        }
+        game.scheduler.clear();
+
+        const record = game.handRecords.pop();
+        const change = game.players.reduce((sum, p) => sum + p.stack - before.get(p.id), 0);
+        const rake = game.totalRake - rakeBefore;
+        if (change + rake !== 0) {
+            this.violations.push({
+                handNumber: game.handNumber,
+                message: `Stacks changed by ${change} with ${rake} raked`
+            });
+        }
+
+        for (let player of game.players) {
+            this.countActions(record, player.id, this.stats[player.id]);
+            onResult(player, player.stack - before.get(player.id));
+        }
+    }
+
+    countActions(record, playerId, stats) {
+        const actions = record.actions.filter(a => a.playerId === playerId);
+        const preFlop = actions.filter(a => a.street === 'pre_flop');
+
+        stats.dealt++;
+        if (preFlop.some(a => a.type === 'call' || a.type === 'bet' || a.type === 'raise')) stats.vpip++;
+        if (preFlop.some(a => a.type === 'bet' || a.type === 'raise')) stats.pfr++;
+        stats.aggressive += actions.filter(a => a.type === 'bet' || a.type === 'raise').length;
+        stats.calls += actions.filter(a => a.type === 'call').length;
+
+        if (record.showdown.some(s => s.playerId === playerId)) {
+            stats.showdowns++;
+            if (record.results.some(r => r.playerId === playerId && r.type !== 'return' && r.amount > 0)) {
+                stats.showdownsWon++;
+            }
+        }
+    }
+
+    static emptyStats() {
+        return {
+            hands: 0, net: 0, sumSquares: 0,
+            dealt: 0, vpip: 0, pfr: 0, aggressive: 0, calls: 0, showdowns: 0, showdownsWon: 0,
+            tournaments: 0, tournamentWins: 0, placeSum: 0
+        };
+    }
+
+    summarize(bot, stats) {
+        const percent = (count, total) => total > 0 ? 100 * count / total : null;
+        const summary = {
+            name: bot.name,
+            personality: bot.type,
+            params: bot.params,
+            handsDealt: stats.dealt,
+            vpip: percent(stats.vpip, stats.dealt),
+            pfr: percent(stats.pfr, stats.dealt),
+            aggression: stats.calls > 0 ? stats.aggressive / stats.calls : null,
+            showdownWinRate: percent(stats.showdownsWon, stats.showdowns),
+            showdowns: stats.showdowns
+        };
+
+        if (stats.hands > 0) {
+            // Per-hand results in big blinds; bb/100 is 100 times their mean
+            const mean = stats.net / this.bigBlind / stats.hands;
+            const variance = stats.hands > 1
+                ? (stats.sumSquares - stats.hands * mean * mean) / (stats.hands - 1)
+                : 0;
+            const stdDev = Math.sqrt(Math.max(variance, 0));
+            const margin = SIMULATION_Z_95 * 100 * stdDev / Math.sqrt(stats.hands);
+
+            Object.assign(summary, {
+                cashHands: stats.hands,
+                netChips: stats.net,
+                bbPer100: 100 * mean,
+                stdDevPer100: 10 * stdDev,
+                ci95: [100 * mean - margin, 100 * mean + margin]
+            });
+        }
+
+        if (stats.tournaments > 0) {
+            const winRate = stats.tournamentWins / stats.tournaments;
+            const margin = SIMULATION_Z_95 * Math.sqrt(winRate * (1 - winRate) / stats.tournaments);
+            Object.assign(summary, {
+                tournaments: stats.tournaments,
+                tournamentWins: stats.tournamentWins,
+                tournamentWinRate: 100 * winRate,
+                tournamentWinRateCi95: [100 * Math.max(0, winRate - margin), 100 * Math.min(1, winRate + margin)],
+                averagePlace: stats.placeSum / stats.tournaments
+            });
+        }
+
+        return summary;
+    }
+
+    // ============================================================================
+    // REPORTS
+    // ============================================================================
+
+    static toJson(report) {
+        return JSON.stringify(report, null, 2);
+    }
+
+    static toCsv(report) {
+        const columns = ['name', 'personality', 'handsDealt', 'bbPer100', 'stdDevPer100', 'ci95Low', 'ci95High',
+            'vpip', 'pfr', 'aggression', 'showdownWinRate', 'tournaments', 'tournamentWinRate', 'averagePlace'];
+        const quote = (value) => /[",\n]/.test(value) ? `"${value.replace(/"/g, '""')}"` : value;
+        const cell = (value) => value === null || value === undefined ? ''
+            : typeof value === 'number' ? String(Math.round(value * 1000) / 1000) : quote(String(value));
+
+        const rows = report.bots.map(bot => {
+            const row = { ...bot, ci95Low: bot.ci95 && bot.ci95[0], ci95High: bot.ci95 && bot.ci95[1] };
+            return columns.map(column => cell(row[column])).join(',');
+        });
+        return [columns.join(','), ...rows].join('\n') + '\n';
+    }
+
+    static toTable(report) {
+        const fixed = (value, digits = 1) => value === null || value === undefined ? '-' : value.toFixed(digits);
+        const lines = [];
+        const width = Math.max(4, ...report.bots.map(bot => bot.name.length));
+
+        lines.push(`Seed ${report.seed}, ${report.variant}, blinds ${report.smallBlind}/${report.bigBlind}, ` +
+            `stacks ${report.startingStack}`);
+
+        const cash = report.bots.some(bot => bot.cashHands);
+        if (cash) {
+            lines.push(`\n${report.hands} cash hands (stacks topped up every hand)\n`);
+            lines.push(`${'Bot'.padEnd(width)}  ${'bb/100'.padStart(8)}  ${'SD/100'.padStart(8)}  ${'95% CI'.padStart(19)}  ` +
+                `${'VPIP'.padStart(5)}  ${'PFR'.padStart(5)}  ${'AF'.padStart(5)}  ${'W$SD'.padStart(5)}`);
+            for (let bot of report.bots) {
+                const ci = `${fixed(bot.ci95[0])} .. ${fixed(bot.ci95[1])}`;
+                lines.push(`${bot.name.padEnd(width)}  ${fixed(bot.bbPer100).padStart(8)}  ${fixed(bot.stdDevPer100).padStart(8)}  ` +
+                    `${ci.padStart(19)}  ${fixed(bot.vpip).padStart(5)}  ${fixed(bot.pfr).padStart(5)}  ` +
+                    `${fixed(bot.aggression, 2).padStart(5)}  ${fixed(bot.showdownWinRate).padStart(5)}`);
+            }
+        }
+
+        if (report.tournaments > 0) {
+            lines.push(`\n${report.tournaments} tournaments, ${report.tournamentHands} hands (blinds double every level)\n`);
+            lines.push(`${'Bot'.padEnd(width)}  ${'Wins'.padStart(5)}  ${'Win %'.padStart(6)}  ${'95% CI'.padStart(15)}  ${'Avg place'.padStart(9)}`);
+            for (let bot of report.bots) {
+                const ci = `${fixed(bot.tournamentWinRateCi95[0])} .. ${fixed(bot.tournamentWinRateCi95[1])}`;
+                lines.push(`${bot.name.padEnd(width)}  ${String(bot.tournamentWins).padStart(5)}  ` +
+                    `${fixed(bot.tournamentWinRate).padStart(6)}  ${ci.padStart(15)}  ${fixed(bot.averagePlace, 2).padStart(9)}`);
+            }
+        }
+
+        lines.push(`\nChip conservation violations: ${report.chipViolations}`);
+        for (let violation of report.violations) {
+            lines.push(`  hand #${violation.handNumber}: ${violation.message}`);
+        }
+        return lines.join('\n');
+    }
+}
+
+// ============================================================================
+// EXPORTS
+// ============================================================================
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        BotSimulation,
+        SIMULATION_PARAMETERS
+    };
+}
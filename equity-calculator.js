@@ -0,0 +1,485 @@
+// ============================================================================
+// EQUITY CALCULATOR
+// ============================================================================
+
+// In the browser the engine is loaded by an earlier <script> tag
+const EQUITY_IMPORTS = typeof module !== 'undefined' && module.exports
+    ? require('./game-engine.js')
+    : { HandEvaluator, LowHandEvaluator, Card, SeededRandom, SUITS, GAME_VARIANTS };
+
+// hand-range.js is loaded after this file in the browser, so ranges are
+// looked up when first needed
+function handRangeClass() {
+    return typeof module !== 'undefined' && module.exports ? require('./hand-range.js').HandRange : HandRange;
+}
+
+class EquityCalculator {
+    // Exhaustively deals every remaining runout and reports win/tie/loss
+    // fractions and equity for each hand. Hands, board and dead cards may be
+    // given as Card arrays or strings such as 'AhKh', '7c8h2h'.
+    //
+    //   EquityCalculator.enumerate(['AhKh', 'QsQd'], '7c8h2h')
+    static enumerate(hands, board = [], dead = []) {
+        const { HandEvaluator } = EQUITY_IMPORTS;
+        const holeCards = hands.map(hand => this.toCards(hand));
+        const boardCards = this.toCards(board);
+        const deadCards = this.toCards(dead);
+
+        this.validate(holeCards, boardCards, deadCards);
+
+        const remaining = this.remainingCodes([...holeCards.flat(), ...boardCards, ...deadCards]);
+        const missing = 5 - boardCards.length;
+        const handCount = holeCards.length;
+
+        // Each hand gets its own code buffer: hole cards, then the board
+        const buffers = holeCards.map(cards => [
+            ...cards.map(c => c.code),
+            ...boardCards.map(c => c.code),
+            ...new Array(missing).fill(0)
+        ]);
+        const offset = holeCards.map(cards => cards.length + boardCards.length);
+
+        const wins = new Array(handCount).fill(0);
+        const ties = new Array(handCount).fill(0);
+        const shares = new Array(handCount).fill(0);
+        const scores = new Array(handCount).fill(0);
+        let boards = 0;
+
+        this.forEachCombination(remaining.length, missing, (indices) => {
+            let best = -1;
+            let winners = 0;
+
+            for (let h = 0; h < handCount; h++) {
+                const buffer = buffers[h];
+                for (let j = 0; j < missing; j++) {
+                    buffer[offset[h] + j] = remaining[indices[j]];
+                }
+
+                const score = HandEvaluator.scoreCodes(buffer, buffer.length);
+                scores[h] = score;
+
+                if (score > best) {
+                    best = score;
+                    winners = 1;
+                } else if (score === best) {
+                    winners++;
+                }
+            }
+
+            for (let h = 0; h < handCount; h++) {
+                if (scores[h] !== best) continue;
+                if (winners === 1) {
+                    wins[h]++;
+                } else {
+                    ties[h]++;
+                }
+                shares[h] += 1 / winners;
+            }
+
+            boards++;
+        });
+
+        return {
+            boards,
+            hands: holeCards.map((cards, h) => ({
+                cards: cards.map(c => c.toShortString()).join(''),
+                wins: wins[h],
+                ties: ties[h],
+                losses: boards - wins[h] - ties[h],
+                win: wins[h] / boards,
+                tie: ties[h] / boards,
+                lose: (boards - wins[h] - ties[h]) / boards,
+                equity: shares[h] / boards
+            }))
+        };
+    }
+
+    // Monte Carlo equity of one hand against opponents that are either random
+    // hands (null or 'random'), exact hands ('QsQd') or weighted ranges
+    // (a HandRange or range notation such as 'TT+, AQs+'). Runs for
+    // `iterations` deals or until `timeBudgetMs` elapses, whichever comes
+    // first; with a fixed iteration count the result depends only on `seed`.
+    //
+    //   EquityCalculator.simulate('AhKh', ['random', 'QQ+, AKs'], { board: '7c8h2h', seed: 1 })
+    static simulate(hero, opponents, options = {}) {
+        const { HandEvaluator, SeededRandom } = EQUITY_IMPORTS;
+        const heroCards = this.toCards(hero);
+        const boardCards = this.toCards(options.board);
+        const deadCards = this.toCards(options.dead);
+        if (options.iterations !== undefined && !(Number.isInteger(options.iterations) && options.iterations > 0)) {
+            throw new Error(`Iterations must be a positive whole number, not ${options.iterations}`);
+        }
+        const iterations = options.iterations || (options.timeBudgetMs ? Infinity : 100000);
+        const rng = options.rng || new SeededRandom(options.seed !== undefined ? options.seed : SeededRandom.randomSeed());
+
+        if (heroCards.length !== 2) {
+            throw new Error('Hero needs exactly 2 hole cards');
+        }
+        if (opponents.length < 1 || opponents.length > 9) {
+            throw new Error('Simulation needs between 1 and 9 opponents');
+        }
+        this.validateCards([...heroCards, ...deadCards], boardCards);
+
+        const fixedCards = [...heroCards, ...boardCards, ...deadCards];
+        const samplers = opponents.map(opponent => this.createOpponentSampler(opponent, fixedCards));
+        const missing = 5 - boardCards.length;
+        const handCount = opponents.length + 1;
+
+        // Buffers: [hole, hole, board x5] for hero then each opponent
+        const buffers = [];
+        for (let h = 0; h < handCount; h++) {
+            buffers.push(new Array(7).fill(0));
+        }
+        heroCards.forEach((card, i) => { buffers[0][i] = card.code; });
+
+        const used = new Uint8Array(52);
+        const board = new Array(5).fill(0);
+        boardCards.forEach((card, i) => { board[i] = card.code; });
+
+        const startTime = Date.now();
+        let completed = 0;
+        let wins = 0;
+        let ties = 0;
+        let sum = 0;
+        let sumSquares = 0;
+
+        while (completed < iterations) {
+            if (options.timeBudgetMs && completed > 0 && completed % 1000 === 0 && Date.now() - startTime >= options.timeBudgetMs) {
+                break;
+            }
+
+            used.fill(0);
+            for (let card of fixedCards) {
+                used[card.code] = 1;
+            }
+
+            this.dealOpponents(samplers, buffers, used, rng);
+
+            for (let i = 0; i < missing; i++) {
+                board[boardCards.length + i] = this.drawCard(used, rng);
+            }
+
+            let best = -1;
+            let winners = 0;
+            let heroScore = 0;
+            for (let h = 0; h < handCount; h++) {
+                const buffer = buffers[h];
+                for (let i = 0; i < 5; i++) {
+                    buffer[2 + i] = board[i];
+                }
+                const score = HandEvaluator.scoreCodes(buffer, 7);
+                if (h === 0) heroScore = score;
+                if (score > best) {
+                    best = score;
+                    winners = 1;
+                } else if (score === best) {
+                    winners++;
+                }
+            }
+
+            let share = 0;
+            if (heroScore === best) {
+                share = 1 / winners;
+                if (winners === 1) wins++;
+                else ties++;
+            }
+
+            sum += share;
+            sumSquares += share * share;
+            completed++;
+        }
+
+        const equity = sum / completed;
+        const variance = completed > 1 ? (sumSquares - completed * equity * equity) / (completed - 1) : 0;
+        const standardError = Math.sqrt(Math.max(variance, 0) / completed);
+
+        return {
+            iterations: completed,
+            win: wins / completed,
+            tie: ties / completed,
+            lose: (completed - wins - ties) / completed,
+            equity,
+            standardError,
+            confidenceInterval: [
+                Math.max(0, equity - 1.96 * standardError),
+                Math.min(1, equity + 1.96 * standardError)
+            ],
+            elapsedMs: Date.now() - startTime
+        };
+    }
+
+    // Share of the pot each known hand wins from here in any game variant (a
+    // hi/lo board is split between the best high and the best qualifying low),
+    // as shown on the seats during an all-in runout. Every remaining board is
+    // dealt when there are at most `maxBoards`, otherwise `samples` seeded
+    // boards are drawn. Dead cards (a first runout's board) are left out.
+    //
+    //   EquityCalculator.runoutEquities([holeA, holeB], flop, { variant: GAME_VARIANTS.POT_LIMIT_OMAHA })
+    static runoutEquities(hands, board = [], options = {}) {
+        const { HandEvaluator, LowHandEvaluator, Card, SeededRandom, SUITS, GAME_VARIANTS } = EQUITY_IMPORTS;
+        const variant = options.variant || GAME_VARIANTS.TEXAS_HOLDEM;
+        const maxBoards = options.maxBoards || 1000;
+        const samples = options.samples || 1000;
+        const holeCards = hands.map(hand => this.toCards(hand));
+        const boardCards = this.toCards(board);
+        const used = new Set([...holeCards.flat(), ...boardCards, ...this.toCards(options.dead)].map(c => c.code));
+
+        const remaining = [];
+        for (let suit of SUITS) {
+            for (let rank of variant.ranks) {
+                const card = new Card(suit, rank);
+                if (!used.has(card.code)) remaining.push(card);
+            }
+        }
+
+        const missing = 5 - boardCards.length;
+        if (missing < 0 || remaining.length < missing) {
+            throw new Error('Not enough cards left to complete the board');
+        }
+
+        const shares = new Array(holeCards.length).fill(0);
+        const fullBoard = [...boardCards, ...new Array(missing)];
+        const award = (scores, portion) => {
+            const best = Math.max(...scores.filter(score => score !== null));
+            const winners = scores.filter(score => score === best).length;
+            scores.forEach((score, h) => {
+                if (score === best) shares[h] += portion / winners;
+            });
+        };
+        const settle = () => {
+            const highs = holeCards.map(cards => variant.evaluation === 'omaha'
+                ? HandEvaluator.evaluateOmaha(cards, fullBoard, variant.handRules).score
+                : HandEvaluator.scoreCards([...cards, ...fullBoard], variant.handRules));
+            const lows = variant.splitPot === 'hi-lo'
+                ? holeCards.map(cards => {
+                    const low = LowHandEvaluator.evaluateForVariant(cards, fullBoard, variant);
+                    return low ? low.score : null;
+                })
+                : [];
+
+            if (lows.some(score => score !== null)) {
+                award(highs, 0.5);
+                award(lows, 0.5);
+            } else {
+                award(highs, 1);
+            }
+        };
+
+        let boards = 0;
+        const exact = this.countCombinations(remaining.length, missing) <= maxBoards;
+        if (exact) {
+            this.forEachCombination(remaining.length, missing, (indices) => {
+                indices.forEach((index, j) => { fullBoard[boardCards.length + j] = remaining[index]; });
+                settle();
+                boards++;
+            });
+        } else {
+            const rng = new SeededRandom(options.seed !== undefined ? options.seed : 1);
+            const deck = [...remaining];
+            for (; boards < samples; boards++) {
+                // Partial Fisher-Yates: the first `missing` cards are the draw
+                for (let j = 0; j < missing; j++) {
+                    const k = j + rng.nextInt(deck.length - j);
+                    [deck[j], deck[k]] = [deck[k], deck[j]];
+                    fullBoard[boardCards.length + j] = deck[j];
+                }
+                settle();
+            }
+        }
+
+        return {
+            boards,
+            exact,
+            equities: shares.map(share => share / boards)
+        };
+    }
+
+    static countCombinations(n, k) {
+        let count = 1;
+        for (let i = 0; i < k; i++) {
+            count = count * (n - i) / (i + 1);
+        }
+        return Math.round(count);
+    }
+
+    static createOpponentSampler(opponent, fixedCards) {
+        if (opponent === null || opponent === undefined || opponent === 'random') {
+            return { random: true };
+        }
+
+        if (typeof opponent === 'string' && /^([2-9TJQKA][shdc]\s*){2}$/i.test(opponent.trim())) {
+            opponent = this.toCards(opponent);
+        }
+
+        const HandRange = handRangeClass();
+        if (Array.isArray(opponent)) {
+            const key = HandRange.comboKey(opponent[0], opponent[1]);
+            opponent = HandRange.parse(key);
+        }
+
+        const range = typeof opponent === 'string' ? HandRange.parse(opponent) : opponent;
+        const combos = range.combos(fixedCards);
+        if (combos.length === 0) {
+            throw new Error('Opponent range has no combos left after card removal');
+        }
+
+        // Cumulative weights for sampling with a binary search
+        const cumulative = [];
+        let total = 0;
+        for (let combo of combos) {
+            total += combo.weight;
+            cumulative.push(total);
+        }
+
+        return {
+            random: false,
+            codes: combos.map(combo => [combo.cards[0].code, combo.cards[1].code]),
+            cumulative,
+            total
+        };
+    }
+
+    // Range opponents are drawn first and the whole draw is rejected when two
+    // ranges collide, which keeps the joint distribution unbiased
+    static dealOpponents(samplers, buffers, used, rng) {
+        for (let attempt = 0; attempt < 10000; attempt++) {
+            let collided = false;
+            const taken = [];
+
+            for (let o = 0; o < samplers.length && !collided; o++) {
+                const sampler = samplers[o];
+                if (sampler.random) continue;
+
+                const combo = sampler.codes[this.pickWeighted(sampler, rng)];
+                if (used[combo[0]] || used[combo[1]]) {
+                    collided = true;
+                    break;
+                }
+                used[combo[0]] = 1;
+                used[combo[1]] = 1;
+                taken.push(combo[0], combo[1]);
+                buffers[o + 1][0] = combo[0];
+                buffers[o + 1][1] = combo[1];
+            }
+
+            if (collided) {
+                for (let code of taken) used[code] = 0;
+                continue;
+            }
+
+            for (let o = 0; o < samplers.length; o++) {
+                if (!samplers[o].random) continue;
+                buffers[o + 1][0] = this.drawCard(used, rng);
+                buffers[o + 1][1] = this.drawCard(used, rng);
+            }
+            return;
+        }
+
+        throw new Error('Opponent ranges leave no compatible combos');
+    }
+
+    static pickWeighted(sampler, rng) {
+        const target = rng.next() * sampler.total;
+        let low = 0;
+        let high = sampler.cumulative.length - 1;
+        while (low < high) {
+            const mid = (low + high) >> 1;
+            if (sampler.cumulative[mid] > target) high = mid;
+            else low = mid + 1;
+        }
+        return low;
+    }
+
+    static drawCard(used, rng) {
+        let code;
+        do {
+            code = rng.nextInt(52);
+        } while (used[code]);
+        used[code] = 1;
+        return code;
+    }
+
+    static toCards(input) {
+        const { Card } = EQUITY_IMPORTS;
+        if (typeof input === 'string') {
+            return Card.parseList(input);
+        }
+        return input || [];
+    }
+
+    static validate(holeCards, boardCards, deadCards) {
+        if (holeCards.length < 2 || holeCards.length > 10) {
+            throw new Error('Equity needs between 2 and 10 hands');
+        }
+
+        if (holeCards.some(cards => cards.length !== 2)) {
+            throw new Error('Each hand needs exactly 2 hole cards');
+        }
+
+        this.validateCards([...holeCards.flat(), ...deadCards], boardCards);
+    }
+
+    // Board size, duplicate cards and enough cards left to finish the board
+    static validateCards(knownCards, boardCards) {
+        if (![0, 3, 4, 5].includes(boardCards.length)) {
+            throw new Error('Board must have 0, 3, 4 or 5 cards');
+        }
+
+        const seen = new Set();
+        for (let card of [...knownCards, ...boardCards]) {
+            if (seen.has(card.code)) {
+                throw new Error(`Card ${card.toShortString()} is used more than once`);
+            }
+            seen.add(card.code);
+        }
+
+        if (52 - seen.size < 5 - boardCards.length) {
+            throw new Error('Not enough cards left to complete the board');
+        }
+    }
+
+    static remainingCodes(usedCards) {
+        const used = new Set(usedCards.map(c => c.code));
+        const remaining = [];
+        for (let code = 0; code < 52; code++) {
+            if (!used.has(code)) {
+                remaining.push(code);
+            }
+        }
+        return remaining;
+    }
+
+    // Calls visit(indices) for every k-subset of 0..n-1 in lexicographic order.
+    // The indices array is reused between calls.
+    static forEachCombination(n, k, visit) {
+        const indices = [];
+        for (let i = 0; i < k; i++) {
+            indices.push(i);
+        }
+
+        while (true) {
+            visit(indices);
+
+            let i = k - 1;
+            while (i >= 0 && indices[i] === n - k + i) {
+                i--;
+            }
+            if (i < 0) return;
+
+            indices[i]++;
+            for (let j = i + 1; j < k; j++) {
+                indices[j] = indices[j - 1] + 1;
+            }
+        }
+    }
+}
+
+// ============================================================================
+// EXPORTS
+// ============================================================================
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        EquityCalculator
+    };
+}
@@ -1,29 +1,100 @@
+// ============================================================================
+// RANDOM NUMBER GENERATION
+// ============================================================================
+
+// Any object with a next() method returning a float in [0, 1) can be used as
+// a random source. SeededRandom is the default so every shuffle can be replayed.
+class SeededRandom {
+  constructor(seed = SeededRandom.randomSeed()) {
+    this.setSeed(seed);
+  }
+
+  static randomSeed() {
+    return Math.floor(Math.random() * 0x100000000) >>> 0;
+  }
+
+  setSeed(seed) {
+    this.seed = seed >>> 0;
+    this.state = this.seed;
+  }
+
+  // Mulberry32: small, fast and good enough for shuffling cards
+  next() {
+    this.state = (this.state + 0x6D2B79F5) >>> 0;
+    let t = this.state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  }
+
+  nextInt(max) {
+    return Math.floor(this.next() * max);
+  }
+
+  nextSeed() {
+    return Math.floor(this.next() * 0x100000000) >>> 0;
+  }
+}
+
 // ============================================================================
 // CARD & DECK SYSTEM
 // ============================================================================
 
 const SUITS = ['♠', '♥', '♦', '♣'];
 const RANKS = ['2', '3', '4', '5', '6', '7', '8', '9', '10', 'J', 'Q', 'K', 'A'];
+const SHORT_DECK_RANKS = ['6', '7', '8', '9', '10', 'J', 'Q', 'K', 'A'];
 const RANK_VALUES = { '2': 2, '3': 3, '4': 4, '5': 5, '6': 6, '7': 7, '8': 8, '9': 9, '10': 10, 'J': 11, 'Q': 12, 'K': 13, 'A': 14 };
+const SUIT_LETTERS = { 's': '♠', 'h': '♥', 'd': '♦', 'c': '♣' };
+const SUIT_NAMES = { '♠': 's', '♥': 'h', '♦': 'd', '♣': 'c' };
 
 class Card {
   constructor(suit, rank) {
     this.suit = suit;
     this.rank = rank;
     this.value = RANK_VALUES[rank];
+    // Compact integer id (0-51) used by the fast evaluator: 4 * rank index + suit index
+    this.code = (this.value - 2) * 4 + SUITS.indexOf(suit);
+  }
+
+  // Parses 'Ah', 'Td', '10c' or 'A♥' into a Card
+  static fromString(text) {
+    const match = /^(10|[2-9TJQKA])([shdc♠♥♦♣])$/i.exec(text.trim());
+    if (!match) {
+      throw new Error(`Invalid card: ${text}`);
+    }
+    const rank = match[1].toUpperCase() === 'T' ? '10' : match[1].toUpperCase();
+    const suit = SUIT_LETTERS[match[2].toLowerCase()] || match[2];
+    return new Card(suit, rank);
+  }
+
+  // Parses a run of cards such as 'AhKh', '7c 8h 2h' or 'A♥K♥'
+  static parseList(text) {
+    const tokens = text.replace(/\s+/g, '').match(/(10|[2-9TJQKA])[shdc♠♥♦♣]/gi) || [];
+    if (tokens.join('').length !== text.replace(/\s+/g, '').length) {
+      throw new Error(`Invalid card list: ${text}`);
+    }
+    return tokens.map(token => Card.fromString(token));
   }
 
   toString() {
     return `${this.rank}${this.suit}`;
   }
 
+  // Short ASCII form used by hand histories and range notation, e.g. 'Th'
+  toShortString() {
+    const rank = this.rank === '10' ? 'T' : this.rank;
+    return `${rank}${SUIT_NAMES[this.suit]}`;
+  }
+
   isRed() {
     return this.suit === '♥' || this.suit === '♦';
   }
 }
 
 class Deck {
-  constructor() {
+  constructor(rng = new SeededRandom(), ranks = RANKS) {
+    this.rng = rng;
+    this.ranks = ranks;
     this.cards = [];
     this.reset();
   }
@@ -31,7 +102,7 @@ class Deck {
   reset() {
     this.cards = [];
     for (let suit of SUITS) {
-      for (let rank of RANKS) {
+      for (let rank of this.ranks) {
         this.cards.push(new Card(suit, rank));
       }
     }
@@ -41,7 +112,7 @@ class Deck {
   shuffle() {
     // Fisher-Yates shuffle algorithm
     for (let i = this.cards.length - 1; i > 0; i--) {
-      const j = Math.floor(Math.random() * (i + 1));
+      const j = Math.floor(this.rng.next() * (i + 1));
       [this.cards[i], this.cards[j]] = [this.cards[j], this.cards[i]];
     }
   }
@@ -68,39 +139,429 @@ const HAND_RANKINGS = {
   ROYAL_FLUSH: 10
 };
 
+const HAND_NAMES = {
+  1: 'High Card',
+  2: 'Pair',
+  3: 'Two Pair',
+  4: 'Three of a Kind',
+  5: 'Straight',
+  6: 'Flush',
+  7: 'Full House',
+  8: 'Four of a Kind',
+  9: 'Straight Flush',
+  10: 'Royal Flush'
+};
+
+// How many cards each entry of a hand's values array accounts for
+const HAND_GROUP_SIZES = {
+  1: [1, 1, 1, 1, 1],
+  2: [2, 1, 1, 1],
+  3: [2, 2, 1],
+  4: [3, 1, 1],
+  7: [3, 2],
+  8: [4, 1]
+};
+
+// Scores pack the category and up to five values into a single integer,
+// category << 20 | v1 << 16 | v2 << 12 | v3 << 8 | v4 << 4 | v5,
+// so two hands compare with a plain subtraction.
+const SCORE_CATEGORY_SHIFT = 20;
+
+// High card of the best straight in a 13-bit rank mask (0 if none). The
+// lowest straight is the ace-low `wheel` (A-2-3-4-5, or A-6-7-8-9 in short deck).
+function buildStraightTable(wheel) {
+  const wheelMask = wheel.reduce((mask, value) => mask | (1 << (value - 2)), 0);
+  const table = new Uint8Array(8192);
+  for (let mask = 0; mask < 8192; mask++) {
+    for (let high = 12; high >= 4; high--) {
+      const run = 0x1F << (high - 4);
+      if ((mask & run) === run) {
+        table[mask] = high + 2;
+        break;
+      }
+    }
+    if (!table[mask] && (mask & wheelMask) === wheelMask) {
+      table[mask] = wheel[1];
+    }
+  }
+  return table;
+}
+
+// Per-variant ranking table. `order` lists the HAND_RANKINGS categories from
+// weakest to strongest; a hand's `ranking` is its position in that order,
+// while `category` keeps the HAND_RANKINGS id used for names and descriptions.
+function buildHandRules(order, wheel) {
+  const rankings = [];
+  const categories = [];
+  order.forEach((category, i) => {
+    rankings[category] = i + 1;
+    categories[i + 1] = category;
+  });
+
+  return {
+    rankings,
+    categories,
+    wheel,
+    straightHigh: buildStraightTable(wheel),
+    // Standard order lets the evaluator stop at the first category it finds
+    ordered: order.every((category, i) => category === i + 1)
+  };
+}
+
+const STANDARD_HAND_RULES = buildHandRules([
+  HAND_RANKINGS.HIGH_CARD,
+  HAND_RANKINGS.PAIR,
+  HAND_RANKINGS.TWO_PAIR,
+  HAND_RANKINGS.THREE_OF_A_KIND,
+  HAND_RANKINGS.STRAIGHT,
+  HAND_RANKINGS.FLUSH,
+  HAND_RANKINGS.FULL_HOUSE,
+  HAND_RANKINGS.FOUR_OF_A_KIND,
+  HAND_RANKINGS.STRAIGHT_FLUSH,
+  HAND_RANKINGS.ROYAL_FLUSH
+], [14, 5, 4, 3, 2]);
+
+// Short deck: flushes are rarer than full houses with 2-5 removed, and many
+// rooms also rank three of a kind above a straight
+function buildShortDeckRules(tripsBeatStraight = true) {
+  const middle = tripsBeatStraight
+    ? [HAND_RANKINGS.STRAIGHT, HAND_RANKINGS.THREE_OF_A_KIND]
+    : [HAND_RANKINGS.THREE_OF_A_KIND, HAND_RANKINGS.STRAIGHT];
+
+  return buildHandRules([
+    HAND_RANKINGS.HIGH_CARD,
+    HAND_RANKINGS.PAIR,
+    HAND_RANKINGS.TWO_PAIR,
+    ...middle,
+    HAND_RANKINGS.FULL_HOUSE,
+    HAND_RANKINGS.FLUSH,
+    HAND_RANKINGS.FOUR_OF_A_KIND,
+    HAND_RANKINGS.STRAIGHT_FLUSH,
+    HAND_RANKINGS.ROYAL_FLUSH
+  ], [14, 9, 8, 7, 6]);
+}
+
+// Rules that differ between the games the table can deal
+const GAME_VARIANTS = {
+  TEXAS_HOLDEM: {
+    id: 'holdem',
+    name: "Texas Hold'em",
+    holeCards: 2,
+    ranks: RANKS,
+    handRules: STANDARD_HAND_RULES,
+    evaluation: 'best-five',
+    bettingStructure: 'no-limit'
+  },
+  POT_LIMIT_OMAHA: {
+    id: 'plo',
+    name: 'Pot-Limit Omaha',
+    holeCards: 4,
+    ranks: RANKS,
+    handRules: STANDARD_HAND_RULES,
+    evaluation: 'omaha',
+    bettingStructure: 'pot-limit'
+  },
+  SHORT_DECK: createShortDeckVariant(),
+  // Split-pot games: half of each pot to the best high hand, half to the
+  // best qualifying low (see LowHandEvaluator)
+  HOLDEM_HI_LO: {
+    id: 'holdem-hi-lo',
+    name: "Hold'em Hi/Lo",
+    holeCards: 2,
+    ranks: RANKS,
+    handRules: STANDARD_HAND_RULES,
+    evaluation: 'best-five',
+    bettingStructure: 'no-limit',
+    splitPot: 'hi-lo',
+    lowQualifier: 8
+  },
+  OMAHA_HI_LO: {
+    id: 'omaha-hi-lo',
+    name: 'Pot-Limit Omaha Hi/Lo',
+    holeCards: 4,
+    ranks: RANKS,
+    handRules: STANDARD_HAND_RULES,
+    evaluation: 'omaha',
+    bettingStructure: 'pot-limit',
+    splitPot: 'hi-lo',
+    lowQualifier: 8
+  }
+};
+
+function createShortDeckVariant({ tripsBeatStraight = true } = {}) {
+  return {
+    id: 'short-deck',
+    name: "Short Deck Hold'em",
+    holeCards: 2,
+    ranks: SHORT_DECK_RANKS,
+    handRules: buildShortDeckRules(tripsBeatStraight),
+    tripsBeatStraight,
+    evaluation: 'best-five',
+    bettingStructure: 'no-limit'
+  };
+}
+
+const BIT_COUNT = (() => {
+  const table = new Uint8Array(8192);
+  for (let mask = 1; mask < 8192; mask++) {
+    table[mask] = table[mask >> 1] + (mask & 1);
+  }
+  return table;
+})();
+
+// Scratch buffers reused by every evaluation to avoid allocations
+const RANK_COUNTS = new Uint8Array(13);
+const SUIT_MASKS = new Int32Array(4);
+
 class HandEvaluator {
-  static evaluateHand(cards) {
+  // Evaluates 5, 6 or 7 cards and returns the best five-card hand
+  static evaluateHand(cards, rules = STANDARD_HAND_RULES) {
     if (cards.length < 5) {
       throw new Error('Need at least 5 cards to evaluate a hand');
     }
 
-    // For 7 cards, find the best 5-card combination
-    if (cards.length === 7) {
-      return this.findBest5CardHand(cards);
+    return this.buildHand(this.scoreCards(cards, rules), cards, rules);
+  }
+
+  static scoreCards(cards, rules = STANDARD_HAND_RULES) {
+    const codes = new Array(cards.length);
+    for (let i = 0; i < cards.length; i++) {
+      codes[i] = cards[i].code;
+    }
+    return this.scoreCodes(codes, codes.length, rules);
+  }
+
+  // Hot path: scores the first `count` card codes without building a result object
+  static scoreCodes(codes, count = codes.length, rules = STANDARD_HAND_RULES) {
+    RANK_COUNTS.fill(0);
+    SUIT_MASKS.fill(0);
+    let rankMask = 0;
+
+    for (let i = 0; i < count; i++) {
+      const code = codes[i];
+      const rank = code >> 2;
+      RANK_COUNTS[rank]++;
+      SUIT_MASKS[code & 3] |= 1 << rank;
+      rankMask |= 1 << rank;
+    }
+
+    let flushMask = 0;
+    for (let s = 0; s < 4; s++) {
+      if (BIT_COUNT[SUIT_MASKS[s]] >= 5) {
+        flushMask = SUIT_MASKS[s];
+      }
+    }
+
+    const rankings = rules.rankings;
+
+    // Straight flushes and quads top every ranking table
+    if (flushMask) {
+      const straightFlushHigh = rules.straightHigh[flushMask];
+      if (straightFlushHigh) {
+        const category = straightFlushHigh === 14 ? HAND_RANKINGS.ROYAL_FLUSH : HAND_RANKINGS.STRAIGHT_FLUSH;
+        return (rankings[category] << SCORE_CATEGORY_SHIFT) | (straightFlushHigh << 16);
+      }
+    }
+
+    let quads = -1;
+    let trips = -1;
+    let secondTrips = -1;
+    let pair = -1;
+    let secondPair = -1;
+
+    for (let rank = 12; rank >= 0; rank--) {
+      const count = RANK_COUNTS[rank];
+      if (count === 4) {
+        quads = rank;
+      } else if (count === 3) {
+        if (trips < 0) trips = rank;
+        else if (secondTrips < 0) secondTrips = rank;
+      } else if (count === 2) {
+        if (pair < 0) pair = rank;
+        else if (secondPair < 0) secondPair = rank;
+      }
+    }
+
+    if (quads >= 0) {
+      return (rankings[HAND_RANKINGS.FOUR_OF_A_KIND] << SCORE_CATEGORY_SHIFT) | ((quads + 2) << 16) |
+        this.packKickers(rankMask & ~(1 << quads), 1, 12);
+    }
+
+    // Full house, flush, straight and trips can swap places between variants,
+    // so unless the order is standard keep the best of those present
+    let best = 0;
+
+    if (trips >= 0 && (secondTrips >= 0 || pair >= 0)) {
+      const over = Math.max(secondTrips, pair);
+      const score = (rankings[HAND_RANKINGS.FULL_HOUSE] << SCORE_CATEGORY_SHIFT) | ((trips + 2) << 16) | ((over + 2) << 12);
+      if (rules.ordered) return score;
+      best = Math.max(best, score);
+    }
+
+    if (flushMask) {
+      const score = (rankings[HAND_RANKINGS.FLUSH] << SCORE_CATEGORY_SHIFT) | this.packKickers(flushMask, 5, 16);
+      if (rules.ordered) return score;
+      best = Math.max(best, score);
     }
 
-    // For 5 or 6 cards, evaluate all combinations
-    if (cards.length === 6) {
-      const combinations = this.getCombinations(cards, 5);
-      let bestHand = null;
-      for (let combo of combinations) {
-        const hand = this.evaluate5Cards(combo);
-        if (!bestHand || this.compareHands(hand, bestHand) > 0) {
-          bestHand = hand;
+    const straightHigh = rules.straightHigh[rankMask];
+    if (straightHigh) {
+      const score = (rankings[HAND_RANKINGS.STRAIGHT] << SCORE_CATEGORY_SHIFT) | (straightHigh << 16);
+      if (rules.ordered) return score;
+      best = Math.max(best, score);
+    }
+
+    if (trips >= 0) {
+      const score = (rankings[HAND_RANKINGS.THREE_OF_A_KIND] << SCORE_CATEGORY_SHIFT) | ((trips + 2) << 16) |
+        this.packKickers(rankMask & ~(1 << trips), 2, 12);
+      if (rules.ordered) return score;
+      best = Math.max(best, score);
+    }
+
+    if (best) {
+      return best;
+    }
+
+    if (secondPair >= 0) {
+      return (rankings[HAND_RANKINGS.TWO_PAIR] << SCORE_CATEGORY_SHIFT) | ((pair + 2) << 16) | ((secondPair + 2) << 12) |
+        this.packKickers(rankMask & ~(1 << pair) & ~(1 << secondPair), 1, 8);
+    }
+
+    if (pair >= 0) {
+      return (rankings[HAND_RANKINGS.PAIR] << SCORE_CATEGORY_SHIFT) | ((pair + 2) << 16) |
+        this.packKickers(rankMask & ~(1 << pair), 3, 12);
+    }
+
+    return (rankings[HAND_RANKINGS.HIGH_CARD] << SCORE_CATEGORY_SHIFT) | this.packKickers(rankMask, 5, 16);
+  }
+
+  // Packs the `count` highest ranks of a mask as card values, starting at `shift`
+  static packKickers(mask, count, shift) {
+    let packed = 0;
+    for (let i = 0; i < count && mask; i++) {
+      const rank = 31 - Math.clz32(mask);
+      packed |= (rank + 2) << shift;
+      shift -= 4;
+      mask ^= 1 << rank;
+    }
+    return packed;
+  }
+
+  static decodeScore(score) {
+    const ranking = score >>> SCORE_CATEGORY_SHIFT;
+    const values = [];
+    for (let shift = 16; shift >= 0; shift -= 4) {
+      const value = (score >>> shift) & 0xF;
+      if (value === 0) break;
+      values.push(value);
+    }
+    return { ranking, values };
+  }
+
+  // Expands a score back into the { ranking, category, name, values, cards } shape
+  static buildHand(score, cards, rules = STANDARD_HAND_RULES) {
+    const { ranking, values } = this.decodeScore(score);
+    const category = rules.categories[ranking];
+
+    return {
+      ranking,
+      category,
+      name: HAND_NAMES[category],
+      values,
+      cards: this.selectBestCards(category, values, cards, rules),
+      score
+    };
+  }
+
+  static selectBestCards(category, values, cards, rules = STANDARD_HAND_RULES) {
+    const sorted = [...cards].sort((a, b) => b.value - a.value);
+    const isFlushHand = category === HAND_RANKINGS.FLUSH ||
+      category === HAND_RANKINGS.STRAIGHT_FLUSH ||
+      category === HAND_RANKINGS.ROYAL_FLUSH;
+    const flushSuit = isFlushHand ? this.findFlushSuit(sorted) : null;
+
+    if (category === HAND_RANKINGS.FLUSH) {
+      return sorted.filter(c => c.suit === flushSuit).slice(0, 5);
+    }
+
+    if (category === HAND_RANKINGS.STRAIGHT || flushSuit) {
+      const high = values[0];
+      const sequence = high === rules.wheel[1] ? rules.wheel : [high, high - 1, high - 2, high - 3, high - 4];
+      return sequence.map(value =>
+        sorted.find(c => c.value === value && (!flushSuit || c.suit === flushSuit))
+      );
+    }
+
+    const picked = [];
+    HAND_GROUP_SIZES[category].forEach((size, i) => {
+      picked.push(...sorted.filter(c => c.value === values[i]).slice(0, size));
+    });
+    return picked;
+  }
+
+  static findFlushSuit(cards) {
+    return SUITS.find(suit => cards.filter(c => c.suit === suit).length >= 5);
+  }
+
+  // Omaha: the hand must use exactly two hole cards and exactly three board cards
+  static evaluateOmaha(holeCards, communityCards, rules = STANDARD_HAND_RULES) {
+    if (holeCards.length < 2 || communityCards.length < 3) {
+      throw new Error('Omaha needs at least 2 hole cards and 3 board cards');
+    }
+
+    const holePairs = this.getCombinations(holeCards, 2);
+    const boardTriples = this.getCombinations(communityCards, 3);
+    const codes = new Array(5);
+    let bestScore = -1;
+    let bestCards = null;
+
+    for (let pair of holePairs) {
+      for (let triple of boardTriples) {
+        codes[0] = pair[0].code;
+        codes[1] = pair[1].code;
+        codes[2] = triple[0].code;
+        codes[3] = triple[1].code;
+        codes[4] = triple[2].code;
+
+        const score = this.scoreCodes(codes, 5, rules);
+        if (score > bestScore) {
+          bestScore = score;
+          bestCards = [...pair, ...triple];
         }
       }
-      return bestHand;
     }
 
-    return this.evaluate5Cards(cards);
+    return this.buildHand(bestScore, bestCards, rules);
+  }
+
+  // Evaluates a player's hand under the rules of the given game variant
+  static evaluateForVariant(holeCards, communityCards, variant = GAME_VARIANTS.TEXAS_HOLDEM) {
+    if (variant.evaluation === 'omaha') {
+      return this.evaluateOmaha(holeCards, communityCards, variant.handRules);
+    }
+    return this.evaluateHand([...holeCards, ...communityCards], variant.handRules);
+  }
+
+  // Reference evaluator: tries every five-card combination. Kept to
+  // cross-check the fast evaluator (see benchmark-evaluator.js).
+  static evaluateHandExhaustive(cards, rules = STANDARD_HAND_RULES) {
+    if (cards.length < 5) {
+      throw new Error('Need at least 5 cards to evaluate a hand');
+    }
+
+    if (cards.length === 5) {
+      return this.evaluate5Cards(cards, rules);
+    }
+
+    return this.findBest5CardHand(cards, rules);
   }
 
-  static findBest5CardHand(cards) {
+  static findBest5CardHand(cards, rules = STANDARD_HAND_RULES) {
     const combinations = this.getCombinations(cards, 5);
     let bestHand = null;
 
     for (let combo of combinations) {
-      const hand = this.evaluate5Cards(combo);
+      const hand = this.evaluate5Cards(combo, rules);
       if (!bestHand || this.compareHands(hand, bestHand) > 0) {
         bestHand = hand;
       }
@@ -129,11 +590,18 @@ class HandEvaluator {
     return result;
   }
 
-  static evaluate5Cards(cards) {
+  // Ranks five cards under the given variant rules
+  static evaluate5Cards(cards, rules = STANDARD_HAND_RULES) {
+    const hand = this.classify5Cards(cards, rules);
+    return { ...hand, category: hand.ranking, ranking: rules.rankings[hand.ranking] };
+  }
+
+  // Works out the HAND_RANKINGS category of exactly five cards
+  static classify5Cards(cards, rules) {
     const sorted = [...cards].sort((a, b) => b.value - a.value);
 
     const isFlush = this.checkFlush(sorted);
-    const straightValue = this.checkStraight(sorted);
+    const straightValue = this.checkStraight(sorted, rules);
     const groups = this.groupByRank(sorted);
 
     // Royal Flush
@@ -240,7 +708,7 @@ class HandEvaluator {
     return cards.every(card => card.suit === suit);
   }
 
-  static checkStraight(cards) {
+  static checkStraight(cards, rules = STANDARD_HAND_RULES) {
     const values = cards.map(c => c.value).sort((a, b) => b - a);
 
     // Check for regular straight
@@ -256,9 +724,9 @@ class HandEvaluator {
       return values[0]; // Return high card of straight
     }
 
-    // Check for A-2-3-4-5 (wheel)
-    if (values[0] === 14 && values[1] === 5 && values[2] === 4 && values[3] === 3 && values[4] === 2) {
-      return 5; // In a wheel, the straight is to 5
+    // Check for the ace-low straight (A-2-3-4-5, or A-6-7-8-9 in short deck)
+    if (values.every((value, i) => value === rules.wheel[i])) {
+      return rules.wheel[1]; // In a wheel, the straight is to its second card
     }
 
     return null;
@@ -284,6 +752,10 @@ class HandEvaluator {
   }
 
   static compareHands(hand1, hand2) {
+    if (hand1.score !== undefined && hand2.score !== undefined) {
+      return hand1.score - hand2.score;
+    }
+
     // Compare rankings first
     if (hand1.ranking !== hand2.ranking) {
       return hand1.ranking - hand2.ranking;
@@ -306,7 +778,8 @@ class HandEvaluator {
   static getHandDescription(hand) {
     const highCard = RANKS[hand.values[0] - 2];
 
-    switch (hand.ranking) {
+    // `category` is the hand type; `ranking` is only its strength in the variant
+    switch (hand.category || hand.ranking) {
       case HAND_RANKINGS.ROYAL_FLUSH:
         return 'Royal Flush';
       case HAND_RANKINGS.STRAIGHT_FLUSH:
@@ -333,6 +806,82 @@ class HandEvaluator {
   }
 }
 
+// ============================================================================
+// LOW HAND EVALUATION (8 OR BETTER)
+// ============================================================================
+
+class LowHandEvaluator {
+  // Aces play low; straights and flushes do not count against a low
+  static lowValue(card) {
+    return card.value === 14 ? 1 : card.value;
+  }
+
+  // Best five-card low from any of the cards, or null when there is no
+  // qualifying low (five distinct ranks at or below the qualifier)
+  static evaluateLow(cards, qualifier = 8) {
+    const distinct = [...new Set(cards.map(c => this.lowValue(c)))]
+      .filter(value => value <= qualifier)
+      .sort((a, b) => a - b);
+
+    if (distinct.length < 5) {
+      return null;
+    }
+
+    return this.buildLow(distinct.slice(0, 5).reverse(), cards);
+  }
+
+  // Omaha low: exactly two hole cards and three board cards, like the high hand
+  static evaluateOmahaLow(holeCards, communityCards, qualifier = 8) {
+    let best = null;
+
+    for (let pair of HandEvaluator.getCombinations(holeCards, 2)) {
+      for (let triple of HandEvaluator.getCombinations(communityCards, 3)) {
+        const low = this.evaluateLow([...pair, ...triple], qualifier);
+        if (low && (!best || this.compareLows(low, best) > 0)) {
+          best = low;
+        }
+      }
+    }
+
+    return best;
+  }
+
+  static evaluateForVariant(holeCards, communityCards, variant) {
+    if (variant.splitPot !== 'hi-lo') {
+      return null;
+    }
+    if (variant.evaluation === 'omaha') {
+      return this.evaluateOmahaLow(holeCards, communityCards, variant.lowQualifier);
+    }
+    return this.evaluateLow([...holeCards, ...communityCards], variant.lowQualifier);
+  }
+
+  // `values` are the five low values from highest to lowest, e.g. [7, 5, 4, 2, 1]
+  static buildLow(values, cards) {
+    let packed = 0;
+    for (let value of values) {
+      packed = packed * 16 + value;
+    }
+
+    return {
+      values,
+      cards: values.map(value => cards.find(c => this.lowValue(c) === value)),
+      name: values.map(value => value === 1 ? 'A' : RANKS[value - 2]).join('-'),
+      // Inverted so that, as with high hands, a bigger score is the better hand
+      score: 0xFFFFF - packed
+    };
+  }
+
+  // Positive when low1 is the better (lower) hand
+  static compareLows(low1, low2) {
+    return low1.score - low2.score;
+  }
+
+  static getLowDescription(low) {
+    return low ? `${low.name} low` : 'No low';
+  }
+}
+
 // ============================================================================
 // POT MANAGEMENT
 // ============================================================================
@@ -340,129 +889,346 @@ class HandEvaluator {
 class PotManager {
   constructor() {
     this.pots = [];
+    this.contributions = {}; // playerId -> chips put in over the whole hand
+    this.foldedPlayers = new Set();
+    this.streets = [];
+    this.rake = 0;
+    this.deadMoney = 0; // Chips in the main pot that nobody has to match
   }
 
   reset() {
     this.pots = [];
+    this.contributions = {};
+    this.foldedPlayers = new Set();
+    this.streets = [];
+    this.rake = 0;
+    this.deadMoney = 0;
   }
 
-  createPots(players, currentBets) {
-    this.pots = [];
+  // Adds one street's bets to the hand ledger and rebuilds the main pot and
+  // side pots from everything contributed so far, so eligibility for a side
+  // pot created preflop carries through to the river.
+  createPots(players, currentBets, street = null) {
+    const bets = {};
+    let amount = 0;
+
+    for (let playerId in currentBets) {
+      const bet = currentBets[playerId] || 0;
+      if (bet <= 0) continue;
+      bets[playerId] = bet;
+      this.contributions[playerId] = (this.contributions[playerId] || 0) + bet;
+      amount += bet;
+    }
 
-    // Get all unique bet amounts (sorted ascending)
-    const betLevels = [...new Set(Object.values(currentBets))].sort((a, b) => a - b);
+    this.buildPots(players);
 
-    if (betLevels.length === 0 || betLevels[0] === 0) {
-      return;
+    if (amount > 0) {
+      this.streets.push({
+        street,
+        amount,
+        bets,
+        pots: this.pots.map(pot => ({ amount: pot.amount, eligiblePlayers: [...pot.eligiblePlayers] }))
+      });
+    }
+  }
+
+  // Adds chips that don't count as anyone's contribution (a big-blind ante):
+  // they go into the main pot, so they never make a side pot or an uncalled bet
+  addDeadMoney(players, amounts, street = null) {
+    const bets = {};
+    let amount = 0;
+
+    for (let playerId in amounts) {
+      if (!(amounts[playerId] > 0)) continue;
+      bets[playerId] = amounts[playerId];
+      amount += amounts[playerId];
+    }
+    this.deadMoney += amount;
+
+    this.buildPots(players);
+
+    if (amount > 0) {
+      this.streets.push({
+        street,
+        amount,
+        bets,
+        dead: true,
+        pots: this.pots.map(pot => ({ amount: pot.amount, eligiblePlayers: [...pot.eligiblePlayers] }))
+      });
     }
+  }
+
+  buildPots(players) {
+    this.pots = [];
+    this.foldedPlayers = new Set(players.filter(p => p.folded).map(p => p.id));
 
+    // Get all unique contribution levels (sorted ascending)
+    const levels = [...new Set(Object.values(this.contributions))].sort((a, b) => a - b);
     let previousLevel = 0;
 
-    for (let level of betLevels) {
+    for (let level of levels) {
       const pot = {
         amount: 0,
         eligiblePlayers: []
       };
 
-      // Add chips from each player who bet at least this level
       for (let player of players) {
-        const playerBet = currentBets[player.id] || 0;
-
-        if (playerBet >= level) {
-          const contribution = Math.min(level, playerBet) - previousLevel;
-          pot.amount += contribution;
-
-          // Player is eligible if they contributed and haven't folded
-          if (!player.folded && playerBet >= level) {
-            if (!pot.eligiblePlayers.includes(player.id)) {
-              pot.eligiblePlayers.push(player.id);
-            }
-          }
+        const contributed = this.contributions[player.id] || 0;
+        if (contributed <= previousLevel) continue;
+
+        pot.amount += Math.min(level, contributed) - previousLevel;
+
+        // Folded players' chips stay in the pot but they can't win it
+        if (contributed >= level && !player.folded) {
+          pot.eligiblePlayers.push(player.id);
         }
       }
 
-      if (pot.amount > 0) {
+      previousLevel = level;
+      if (pot.amount === 0) continue;
+
+      const last = this.pots[this.pots.length - 1];
+      if (last && (pot.eligiblePlayers.length === 0 || this.sameEligibility(last, pot))) {
+        // Levels only folded players reached, or with the same contenders, join the pot below
+        last.amount += pot.amount;
+      } else {
         this.pots.push(pot);
       }
+    }
 
-      previousLevel = level;
+    if (this.deadMoney > 0) {
+      if (this.pots.length === 0) {
+        this.pots.push({ amount: 0, eligiblePlayers: players.filter(p => !p.folded).map(p => p.id) });
+      }
+      this.pots[0].amount += this.deadMoney;
     }
   }
 
+  sameEligibility(a, b) {
+    return a.eligiblePlayers.length === b.eligiblePlayers.length &&
+      a.eligiblePlayers.every(id => b.eligiblePlayers.includes(id));
+  }
+
+  // Per-street view of the ledger: what each player put in on each street and
+  // the pot structure once that street's bets were collected
+  getStreetBreakdown() {
+    return this.streets;
+  }
+
+  // Takes the house rake out of the pots before they are paid out.
+  //
+  //   rake: { percentage: 5, cap: 30, noFlopNoDrop: true }
+  //   rake: { percentage: 5, caps: { 2: 10, 4: 20, 6: 30 } }  // cap by players dealt in
+  //
+  // Uncalled chips are never raked. The rake is split across the main and
+  // side pots in proportion to their size, with leftover chips taken from
+  // the main pot first. Returns the amount taken.
+  takeRake(rake, playersDealtIn, flopDealt) {
+    if (!rake || !rake.percentage) return 0;
+    if (rake.noFlopNoDrop !== false && !flopDealt) return 0;
+    if (this.pots.length === 0) return 0;
+
+    const uncalledBet = this.getUncalledBet();
+    const uncalled = uncalledBet ? uncalledBet.amount : 0;
+
+    const rakeable = this.pots.map(pot => pot.amount);
+    rakeable[rakeable.length - 1] = Math.max(0, rakeable[rakeable.length - 1] - uncalled);
+    const total = rakeable.reduce((sum, amount) => sum + amount, 0);
+
+    const amount = Math.min(
+      Math.floor(total * rake.percentage / 100),
+      this.getRakeCap(rake, playersDealtIn)
+    );
+    if (amount <= 0) return 0;
+
+    const shares = rakeable.map(value => Math.floor(amount * value / total));
+    let leftover = amount - shares.reduce((sum, share) => sum + share, 0);
+    for (let i = 0; leftover > 0; i = (i + 1) % shares.length) {
+      if (shares[i] < rakeable[i]) {
+        shares[i]++;
+        leftover--;
+      }
+    }
+
+    this.pots.forEach((pot, i) => { pot.amount -= shares[i]; });
+    this.rake += amount;
+    return amount;
+  }
+
+  // The top contributor's chips above the second-highest contribution were
+  // never called: { playerId, amount }, or null when every chip was matched
+  getUncalledBet() {
+    const ranked = Object.entries(this.contributions).sort((a, b) => b[1] - a[1]);
+    if (ranked.length === 0) return null;
+    // A player who folds forfeits everything they put in, unmatched or not
+    if (this.foldedPlayers.has(Number(ranked[0][0]))) return null;
+
+    const amount = ranked[0][1] - (ranked.length > 1 ? ranked[1][1] : 0);
+    return amount > 0 ? { playerId: Number(ranked[0][0]), amount } : null;
+  }
+
+  getRakeCap(rake, playersDealtIn) {
+    if (rake.caps) {
+      // Use the cap for the largest table size not above the players dealt in
+      const sizes = Object.keys(rake.caps).map(Number).filter(size => size <= playersDealtIn);
+      const size = sizes.length > 0 ? Math.max(...sizes) : Math.min(...Object.keys(rake.caps).map(Number));
+      return rake.caps[size];
+    }
+    return rake.cap !== undefined ? rake.cap : Infinity;
+  }
+
+  // Empties the pots once they have been paid out; the ledger and street
+  // breakdown are kept until the next hand
+  clearPots() {
+    this.pots = [];
+  }
+
   getTotalPot() {
     return this.pots.reduce((sum, pot) => sum + pot.amount, 0);
   }
 
-  distributePots(players, handEvaluations) {
+  // Pays out every pot. In hi/lo games (lowEvaluations given) each pot is split
+  // into a high half and a low half: the odd chip goes high, tied lows share
+  // the low half (quartering), and the high hand scoops when nobody has a low.
+  distributePots(players, handEvaluations, lowEvaluations = null) {
     const operations = []; // Changed from object to array of operations to support reliable ordering
 
-    for (let pot of this.pots) {
-      // Find eligible players for this pot
-      const eligiblePlayers = players.filter(p =>
-        pot.eligiblePlayers.includes(p.id) && !p.folded
-      );
+    for (let [potIndex, pot] of this.pots.entries()) {
+      this.awardPot(pot, pot.amount, potIndex, players, handEvaluations, lowEvaluations, operations);
+    }
 
-      if (eligiblePlayers.length === 0) continue;
+    return operations;
+  }
 
-      // START CHANGE: Check for uncalled bet refund
-      if (eligiblePlayers.length === 1) {
-        operations.push({
-          playerId: eligiblePlayers[0].id,
-          amount: pot.amount,
-          type: 'return',
-          hand: null
-        });
+  // Run it twice: each pot is split between the boards, the odd chip going to
+  // the first, and each half is awarded on its own board. `runouts` holds the
+  // { handEvaluations, lowEvaluations } of every board; operations carry the
+  // index of the board they were won on (a lone player's pot is returned whole).
+  distributeRunouts(players, runouts) {
+    const operations = [];
+
+    for (let [potIndex, pot] of this.pots.entries()) {
+      const eligible = players.filter(p => pot.eligiblePlayers.includes(p.id) && !p.folded);
+      if (eligible.length < 2) {
+        this.awardPot(pot, pot.amount, potIndex, players, runouts[0].handEvaluations, null, operations);
         continue;
       }
-      // END CHANGE
 
-      // Find winner(s) among eligible players
-      let bestHand = null;
-      let winners = [];
+      const share = Math.floor(pot.amount / runouts.length);
+      runouts.forEach((runout, index) => {
+        const amount = share + (index === 0 ? pot.amount % runouts.length : 0);
+        const start = operations.length;
+        this.awardPot(pot, amount, potIndex, players, runout.handEvaluations, runout.lowEvaluations, operations);
+        for (let operation of operations.slice(start)) {
+          operation.runout = index;
+        }
+      });
+    }
 
-      for (let player of eligiblePlayers) {
-        const playerHand = handEvaluations[player.id];
+    return operations;
+  }
 
-        if (!bestHand) {
+  // Awards `amount` from one pot to its best hand(s), pushing the payouts onto `operations`
+  awardPot(pot, amount, potIndex, players, handEvaluations, lowEvaluations, operations) {
+    // Find eligible players for this pot
+    const eligiblePlayers = players.filter(p =>
+      pot.eligiblePlayers.includes(p.id) && !p.folded
+    );
+
+    if (eligiblePlayers.length === 0) return;
+
+    // START CHANGE: Check for uncalled bet refund
+    if (eligiblePlayers.length === 1) {
+      operations.push({
+        playerId: eligiblePlayers[0].id,
+        amount,
+        type: 'return',
+        hand: null,
+        potIndex
+      });
+      return;
+    }
+    // END CHANGE
+
+    const highWinners = this.findWinners(eligiblePlayers, handEvaluations,
+      (a, b) => HandEvaluator.compareHands(a, b));
+
+    if (!lowEvaluations) {
+      this.splitPot(amount, highWinners, 'win', handEvaluations, operations, potIndex);
+      return;
+    }
+
+    const lowCandidates = eligiblePlayers.filter(p => lowEvaluations[p.id]);
+
+    if (lowCandidates.length === 0) {
+      const type = highWinners.length === 1 ? 'scoop' : 'high';
+      this.splitPot(amount, highWinners, type, handEvaluations, operations, potIndex);
+      return;
+    }
+
+    const lowWinners = this.findWinners(lowCandidates, lowEvaluations,
+      (a, b) => LowHandEvaluator.compareLows(a, b));
+
+    if (highWinners.length === 1 && lowWinners.length === 1 && highWinners[0] === lowWinners[0]) {
+      this.splitPot(amount, highWinners, 'scoop', handEvaluations, operations, potIndex);
+      return;
+    }
+
+    const lowHalf = Math.floor(amount / 2);
+    const highHalf = amount - lowHalf;
+
+    this.splitPot(highHalf, highWinners, 'high', handEvaluations, operations, potIndex);
+    this.splitPot(lowHalf, lowWinners, 'low', lowEvaluations, operations, potIndex);
+  }
+
+  findWinners(eligiblePlayers, evaluations, compare) {
+    let bestHand = null;
+    let winners = [];
+
+    for (let player of eligiblePlayers) {
+      const playerHand = evaluations[player.id];
+
+      if (!bestHand) {
+        bestHand = playerHand;
+        winners = [player];
+      } else {
+        const comparison = compare(playerHand, bestHand);
+
+        if (comparison > 0) {
+          // New best hand
           bestHand = playerHand;
           winners = [player];
-        } else {
-          const comparison = HandEvaluator.compareHands(playerHand, bestHand);
-
-          if (comparison > 0) {
-            // New best hand
-            bestHand = playerHand;
-            winners = [player];
-          } else if (comparison === 0) {
-            // Tie
-            winners.push(player);
-          }
+        } else if (comparison === 0) {
+          // Tie
+          winners.push(player);
         }
       }
+    }
 
-      // Split pot among winners
-      const share = Math.floor(pot.amount / winners.length);
-      const remainder = pot.amount % winners.length;
+    return winners;
+  }
 
-      for (let i = 0; i < winners.length; i++) {
-        const playerId = winners[i].id;
-        let amount = share;
+  splitPot(amount, winners, type, evaluations, operations, potIndex = 0) {
+    const share = Math.floor(amount / winners.length);
+    const remainder = amount % winners.length;
 
-        // Give remainder to first winner (closest to dealer button)
-        if (i === 0) {
-          amount += remainder;
-        }
+    for (let i = 0; i < winners.length; i++) {
+      const playerId = winners[i].id;
+      let payout = share;
 
-        operations.push({
-          playerId: playerId,
-          amount: amount,
-          type: 'win',
-          hand: handEvaluations[playerId]
-        });
+      // Give remainder to first winner (closest to dealer button)
+      if (i === 0) {
+        payout += remainder;
       }
-    }
 
-    return operations;
+      operations.push({
+        playerId: playerId,
+        amount: payout,
+        type: type,
+        hand: evaluations[playerId],
+        potIndex
+      });
+    }
   }
 }
 
@@ -472,13 +1238,20 @@ class PotManager {
 
 if (typeof module !== 'undefined' && module.exports) {
   module.exports = {
+    SeededRandom,
     Card,
     Deck,
     HandEvaluator,
+    LowHandEvaluator,
     PotManager,
     HAND_RANKINGS,
+    HAND_NAMES,
+    GAME_VARIANTS,
+    STANDARD_HAND_RULES,
+    createShortDeckVariant,
     SUITS,
     RANKS,
+    SHORT_DECK_RANKS,
     RANK_VALUES
   };
 }
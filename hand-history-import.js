@@ -0,0 +1,526 @@
+// ============================================================================
+// HAND HISTORY IMPORT
+// ============================================================================
+//
+// Reads PokerStars-style text hand histories and JSON hand records (the shape
+// of TexasHoldemGame.handRecords) into hand records, then replays each hand's
+// betting through PotManager to check the recorded pot and payouts.
+
+// In the browser these are loaded by earlier <script> tags
+const REPLAYER_IMPORTS = typeof module !== 'undefined' && module.exports
+    ? { ...require('./game-engine.js'), ...require('./hand-history.js'), ...require('./main.js') }
+    : { Card, GAME_VARIANTS, TexasHoldemGame, Player, HAND_HISTORY_GAME_NAMES };
+
+const HAND_HISTORY_HEADER = /^PokerStars (?:Hand|Game) #(\d+):\s*(.*?)\s*\((\$?[\d.]+)\/(\$?[\d.]+)[^)]*\)\s*-\s*(.*)$/;
+
+const IMPORT_STREETS = {
+    'FLOP': 'flop',
+    'TURN': 'turn',
+    'RIVER': 'river'
+};
+
+class HandHistoryParser {
+    // Detects the format and returns an array of hand records. With
+    // { keepInvalid: true } a hand that can't be parsed comes back as
+    // { handNumber, invalid: message } instead of failing the whole input.
+    static parse(input, options = {}) {
+        const trimmed = input.trim();
+        if (trimmed.startsWith('{') || trimmed.startsWith('[')) {
+            return this.parseJson(trimmed, options);
+        }
+        return this.parseText(trimmed, options);
+    }
+
+    // Parses one hand, or stands in for it when it can't be parsed and
+    // invalid hands are kept
+    static parseHand(parser, handNumber, options) {
+        try {
+            return parser();
+        } catch (error) {
+            if (!options.keepInvalid) throw error;
+            return { handNumber, invalid: error.message };
+        }
+    }
+
+    // Accepts one hand record, an array of them, or { hands: [...] }
+    static parseJson(input, options = {}) {
+        const data = typeof input === 'string' ? JSON.parse(input) : input;
+        const hands = Array.isArray(data) ? data : (data.hands || [data]);
+
+        return hands.map((hand, i) => this.parseHand(() => this.parseJsonHand(hand, i), hand && hand.handNumber, options));
+    }
+
+    static parseJsonHand(hand, i) {
+        for (let field of ['seats', 'actions', 'bigBlind']) {
+            if (hand[field] === undefined) {
+                throw new Error(`JSON hand ${i + 1} is missing "${field}"`);
+            }
+        }
+        return {
+            board: [],
+            secondBoard: null,
+            holeCards: {},
+            showdown: [],
+            secondShowdown: null,
+            results: [],
+            uncalledBet: null,
+            rake: 0,
+            ...hand
+        };
+    }
+
+    static parseText(input, options = {}) {
+        const hands = input.split(/\r?\n(?=PokerStars (?:Hand|Game) #)/)
+            .map(text => text.trim())
+            .filter(text => text.length > 0);
+        return hands.map(text => {
+            const number = text.match(/^PokerStars (?:Hand|Game) #(\d+)/);
+            return this.parseHand(() => this.parseTextHand(text), number ? parseInt(number[1], 10) : null, options);
+        });
+    }
+
+    static parseTextHand(text) {
+        const lines = text.split(/\r?\n/).map(line => line.trim()).filter(line => line.length > 0);
+        const header = lines[0].match(HAND_HISTORY_HEADER);
+        if (!header) {
+            throw new Error(`Not a PokerStars hand history: "${lines[0]}"`);
+        }
+
+        // Cent amounts ($0.05/$0.10) are stored as whole chips
+        const scale = /\$?\d+\.\d+/.test(text) ? 100 : 1;
+        const chips = (value) => Math.round(parseFloat(String(value).replace('$', '')) * scale);
+
+        const record = {
+            handNumber: parseInt(header[1], 10),
+            variant: this.parseGameName(header[2]),
+            smallBlind: chips(header[3]),
+            bigBlind: chips(header[4]),
+            startedAt: this.parseDate(header[5]),
+            chipScale: scale,
+            table: null,
+            maxSeats: null,
+            buttonSeat: null,
+            seats: [],
+            holeCards: {},
+            actions: [],
+            board: [],
+            secondBoard: null,
+            showdown: [],
+            secondShowdown: null,
+            results: [],
+            uncalledBet: null,
+            totalPot: null,
+            rake: 0
+        };
+
+        let section = 'seats';
+        let street = 'pre_flop';
+        let streetBets = {};
+        // Run it twice: FIRST and SECOND streets and showdowns, one per board
+        let runout = null;
+        // Players whose next action was made for them by the action clock
+        const timedOut = new Set();
+
+        for (let line of lines.slice(1)) {
+            let match;
+
+            if ((match = line.match(/^Table '(.+)' (\d+)-max Seat #(\d+) is the button/))) {
+                record.table = match[1];
+                record.maxSeats = parseInt(match[2], 10);
+                record.buttonSeat = parseInt(match[3], 10);
+                continue;
+            }
+
+            if (section === 'seats' && (match = line.match(/^Seat (\d+): (.+) \(\$?([\d.]+) in chips[^)]*\)(.*)$/))) {
+                // Seats sitting out or out of hand are listed but not dealt in
+                if (/is sitting out|out of hand/.test(match[4])) continue;
+                record.seats.push({
+                    seat: parseInt(match[1], 10),
+                    playerId: record.seats.length,
+                    name: match[2],
+                    stack: chips(match[3])
+                });
+                continue;
+            }
+
+            if ((match = line.match(/^\*\*\* (?:(FIRST|SECOND) )?(HOLE CARDS|FLOP|TURN|RIVER|SHOW ?DOWN|SUMMARY) \*\*\*(.*)$/))) {
+                section = match[2].toLowerCase().replace(' ', '');
+                if (match[1]) {
+                    runout = match[1] === 'SECOND' ? 1 : 0;
+                }
+                if (IMPORT_STREETS[match[2]]) {
+                    street = IMPORT_STREETS[match[2]];
+                    streetBets = {};
+                    if (runout === 1) {
+                        record.secondBoard = this.bracketCards(match[3]);
+                    } else {
+                        record.board = this.bracketCards(match[3]);
+                    }
+                }
+                continue;
+            }
+
+            if (section === 'summary') {
+                if ((match = line.match(/^Total pot \$?([\d.]+).*\| Rake \$?([\d.]+)/))) {
+                    record.totalPot = chips(match[1]);
+                    record.rake = chips(match[2]);
+                } else if ((match = line.match(/^(?:(FIRST|SECOND) )?Board \[(.+)\]/))) {
+                    if (match[1] === 'SECOND') {
+                        record.secondBoard = match[2].split(' ');
+                    } else {
+                        record.board = match[2].split(' ');
+                    }
+                }
+                continue;
+            }
+
+            if ((match = line.match(/^Dealt to (.+?) \[([^\]]+)\](?: \[([^\]]+)\])?$/))) {
+                const seat = this.findSeat(record, match[1]);
+                if (seat) {
+                    record.holeCards[seat.playerId] = (match[3] || match[2]).split(' ');
+                }
+                continue;
+            }
+
+            if ((match = line.match(/^Uncalled bet \(\$?([\d.]+)\) returned to (.+)$/))) {
+                const seat = this.findSeat(record, match[2]);
+                record.uncalledBet = { playerId: seat.playerId, amount: chips(match[1]) };
+                continue;
+            }
+
+            const collected = this.matchPlayerLine(record, line, /^ collected \$?([\d.]+) from (main pot|side pot(?:-(\d+))?|pot)/);
+            if (collected) {
+                const [, amount, pot, sideIndex] = collected.match;
+                record.results.push({
+                    playerId: collected.seat.playerId,
+                    amount: chips(amount),
+                    type: 'win',
+                    potIndex: pot === 'main pot' || pot === 'pot' ? 0 : parseInt(sideIndex || '1', 10),
+                    runout
+                });
+                continue;
+            }
+
+            const shows = this.matchPlayerLine(record, line, /^: shows \[([^\]]+)\]/);
+            if (shows) {
+                const cards = shows.match[1].split(' ');
+                record.holeCards[shows.seat.playerId] = cards;
+                if (runout === 1) {
+                    record.secondShowdown = record.secondShowdown || [];
+                    record.secondShowdown.push({ playerId: shows.seat.playerId, cards });
+                } else {
+                    record.showdown.push({ playerId: shows.seat.playerId, cards });
+                }
+                continue;
+            }
+
+            const timeout = this.matchPlayerLine(record, line, /^ has timed out/);
+            if (timeout) {
+                timedOut.add(timeout.seat.playerId);
+                continue;
+            }
+
+            const action = this.matchPlayerLine(record, line,
+                /^: (posts small & big blinds|posts small blind|posts big blind|posts straddle|posts the ante|folds|checks|calls|bets|raises)(?: \$?([\d.]+))?(?: to \$?([\d.]+))?( and is all-in)?/);
+            if (action) {
+                const [, verb, amountText, toText, allIn] = action.match;
+                const seat = action.seat;
+                const before = streetBets[seat.playerId] || 0;
+                const entry = {
+                    street,
+                    playerId: seat.playerId,
+                    player: seat.name,
+                    type: null,
+                    amount: 0,
+                    to: null,
+                    raiseBy: null,
+                    allIn: Boolean(allIn)
+                };
+
+                switch (verb) {
+                    case 'posts small blind':
+                    case 'posts big blind':
+                    case 'posts straddle':
+                        entry.type = { 'posts small blind': 'small-blind', 'posts big blind': 'big-blind', 'posts straddle': 'straddle' }[verb];
+                        entry.amount = chips(amountText);
+                        entry.to = before + entry.amount;
+                        break;
+                    case 'posts small & big blinds':
+                        // A returning player's small blind is dead money; only
+                        // the big blind counts towards their bet
+                        entry.type = 'small-and-big-blinds';
+                        entry.amount = chips(amountText);
+                        entry.dead = Math.min(record.smallBlind, entry.amount);
+                        entry.to = before + entry.amount - entry.dead;
+                        break;
+                    case 'posts the ante':
+                        entry.type = 'ante';
+                        entry.amount = chips(amountText);
+                        break;
+                    case 'folds':
+                    case 'checks':
+                        entry.type = verb === 'folds' ? 'fold' : 'check';
+                        break;
+                    case 'calls':
+                    case 'bets':
+                        entry.type = verb === 'calls' ? 'call' : 'bet';
+                        entry.amount = chips(amountText);
+                        entry.to = before + entry.amount;
+                        break;
+                    case 'raises':
+                        entry.type = 'raise';
+                        entry.to = chips(toText);
+                        entry.amount = entry.to - before;
+                        entry.raiseBy = chips(amountText);
+                        break;
+                }
+
+                if (entry.to !== null) {
+                    streetBets[seat.playerId] = entry.to;
+                }
+                if (timedOut.delete(seat.playerId)) {
+                    entry.timedOut = true;
+                }
+                record.actions.push(entry);
+            }
+        }
+
+        if (record.seats.length < 2) {
+            throw new Error(`Hand #${record.handNumber} has fewer than two seated players`);
+        }
+        const button = record.seats.find(s => s.seat === record.buttonSeat);
+        record.buttonPlayerId = button ? button.playerId : null;
+
+        // Text histories don't name the ante type: a single ante posted by the
+        // big blind is a big-blind ante for the whole table
+        const antes = record.actions.filter(a => a.type === 'ante');
+        const bigBlind = record.actions.find(a => a.type === 'big-blind');
+        record.anteType = antes.length === 0 ? null
+            : antes.length === 1 && bigBlind && antes[0].playerId === bigBlind.playerId ? 'big-blind' : 'classic';
+
+        return record;
+    }
+
+    // Lines start with the player's name, which may itself contain spaces or colons
+    static matchPlayerLine(record, line, pattern) {
+        const seats = [...record.seats].sort((a, b) => b.name.length - a.name.length);
+        for (let seat of seats) {
+            if (!line.startsWith(seat.name)) continue;
+            const match = line.slice(seat.name.length).match(pattern);
+            if (match) return { seat, match };
+        }
+        return null;
+    }
+
+    static findSeat(record, name) {
+        return record.seats.find(s => s.name === name) || null;
+    }
+
+    static bracketCards(text) {
+        const cards = [];
+        for (let group of text.matchAll(/\[([^\]]+)\]/g)) {
+            cards.push(...group[1].trim().split(/\s+/));
+        }
+        return cards;
+    }
+
+    // '2024/01/02 03:04:05 UTC' (time zones other than UTC/GMT are read as local time)
+    static parseDate(text) {
+        const match = text.match(/(\d{4})\/(\d{1,2})\/(\d{1,2}) (\d{1,2}):(\d{2}):(\d{2})(?: (\w+))?/);
+        if (!match) return null;
+        const [year, month, day, hour, minute, second] = match.slice(1, 7).map(Number);
+        const utc = /^(UTC|GMT)$/.test(match[7] || '');
+        return utc
+            ? Date.UTC(year, month - 1, day, hour, minute, second)
+            : new Date(year, month - 1, day, hour, minute, second).getTime();
+    }
+
+    static parseGameName(name) {
+        const { GAME_VARIANTS, HAND_HISTORY_GAME_NAMES } = REPLAYER_IMPORTS;
+        const ids = Object.keys(HAND_HISTORY_GAME_NAMES);
+        // Longest names first so "Omaha Hi/Lo Pot Limit" is not read as "Omaha Pot Limit"
+        ids.sort((a, b) => HAND_HISTORY_GAME_NAMES[b].length - HAND_HISTORY_GAME_NAMES[a].length);
+        const id = ids.find(key => name.includes(HAND_HISTORY_GAME_NAMES[key])) || 'holdem';
+        const variant = Object.values(GAME_VARIANTS).find(v => v.id === id);
+        return { id: variant.id, name: variant.name, bettingStructure: variant.bettingStructure };
+    }
+}
+
+class HandReplayer {
+    // Replays the hand's contributions through a TexasHoldemGame's PotManager,
+    // awards the pots with the engine's evaluators and compares every player's
+    // payout with the recorded one. Returns { handNumber, chipScale, ok,
+    // issues, mismatches }, with amounts in chips (chipScale chips per dollar).
+    static verify(record) {
+        const { TexasHoldemGame, Player } = REPLAYER_IMPORTS;
+        const issues = [];
+        const mismatches = [];
+        const game = new TexasHoldemGame(null, { variant: record.variant ? record.variant.id : undefined });
+        game.players = record.seats.map(seat => new Player(seat.playerId, seat.name, seat.stack));
+
+        const playerById = (id) => game.players.find(p => p.id === id);
+        const streets = ['pre_flop', 'flop', 'turn', 'river'];
+
+        // Antes are collected ahead of the pre-flop betting; a big-blind ante
+        // is dead money in the main pot
+        const antes = {};
+        for (let action of record.actions.filter(a => a.type === 'ante')) {
+            const player = playerById(action.playerId);
+            if (player) {
+                antes[player.id] = (antes[player.id] || 0) + player.bet(action.amount);
+            }
+        }
+        if (record.anteType === 'big-blind') {
+            game.potManager.addDeadMoney(game.players, antes, 'antes');
+        } else {
+            game.potManager.createPots(game.players, antes, 'antes');
+        }
+
+        // Dead small blinds posted with a big blind go into the main pot the same way
+        const deadBlinds = {};
+        for (let action of record.actions.filter(a => a.dead)) {
+            const player = playerById(action.playerId);
+            if (player) {
+                deadBlinds[player.id] = (deadBlinds[player.id] || 0) + player.bet(action.dead);
+            }
+        }
+        game.potManager.addDeadMoney(game.players, deadBlinds, 'dead blinds');
+
+        for (let street of streets) {
+            const currentBets = {};
+            for (let player of game.players) {
+                player.currentBet = 0;
+            }
+
+            for (let action of record.actions.filter(a => a.street === street && a.type !== 'ante')) {
+                const player = playerById(action.playerId);
+                if (!player) {
+                    issues.push(`Action by unknown player ${action.player}`);
+                    continue;
+                }
+                if (action.type === 'fold') {
+                    player.folded = true;
+                    continue;
+                }
+                if (!action.amount) continue;
+
+                if (action.amount - (action.dead || 0) > player.stack) {
+                    issues.push(`${player.name} puts in ${action.amount} with only ${player.stack} behind`);
+                }
+                const paid = player.bet(action.amount - (action.dead || 0));
+                currentBets[player.id] = (currentBets[player.id] || 0) + paid;
+            }
+
+            game.potManager.createPots(game.players, currentBets, street);
+        }
+
+        const uncalled = game.potManager.getUncalledBet();
+        const recordedUncalled = record.uncalledBet ? record.uncalledBet.amount : 0;
+        if ((uncalled ? uncalled.amount : 0) !== recordedUncalled) {
+            issues.push(`Uncalled bet is ${uncalled ? uncalled.amount : 0}, recorded ${recordedUncalled}`);
+        }
+
+        const computedPot = game.potManager.getTotalPot() - (uncalled ? uncalled.amount : 0);
+        if (record.totalPot !== null && record.totalPot !== undefined && computedPot !== record.totalPot) {
+            issues.push(`Total pot is ${computedPot}, recorded ${record.totalPot}`);
+        }
+
+        // Take exactly the recorded rake, spread over the pots as the engine would
+        if (record.rake) {
+            game.potManager.takeRake({ percentage: 100, cap: record.rake, noFlopNoDrop: false }, game.players.length, true);
+        }
+
+        const computed = this.awardPots(game, record, issues);
+        if (computed) {
+            const recorded = {};
+            for (let result of record.results) {
+                recorded[result.playerId] = (recorded[result.playerId] || 0) + result.amount;
+            }
+            // Recorded results from text files leave out the uncalled bet
+            const resultsIncludeReturn = record.results.some(r => r.type === 'return');
+            if (record.uncalledBet && !resultsIncludeReturn) {
+                recorded[record.uncalledBet.playerId] = (recorded[record.uncalledBet.playerId] || 0) + record.uncalledBet.amount;
+            }
+
+            for (let player of game.players) {
+                const expected = computed[player.id] || 0;
+                const actual = recorded[player.id] || 0;
+                if (expected !== actual) {
+                    mismatches.push({ playerId: player.id, player: player.name, expected, recorded: actual });
+                }
+            }
+        }
+
+        return {
+            handNumber: record.handNumber,
+            chipScale: record.chipScale || 1,
+            ok: issues.length === 0 && mismatches.length === 0,
+            issues,
+            mismatches
+        };
+    }
+
+    // Payout per playerId according to PotManager, or null when the hand
+    // went to showdown without the cards needed to decide it
+    static awardPots(game, record, issues) {
+        const { Card } = REPLAYER_IMPORTS;
+        const contenders = game.players.filter(p => !p.folded);
+        const totals = {};
+
+        if (contenders.length === 1) {
+            totals[contenders[0].id] = game.potManager.getTotalPot();
+            return totals;
+        }
+
+        for (let player of contenders) {
+            if (!record.holeCards[player.id]) {
+                issues.push(`${player.name} reached showdown without known hole cards`);
+                return null;
+            }
+            player.holeCards = record.holeCards[player.id].map(text => Card.fromString(text));
+        }
+
+        // A board run twice splits every pot between the two boards
+        const boards = record.secondBoard ? [record.board, record.secondBoard] : [record.board];
+        const runouts = boards.map(board => game.evaluateBoard(contenders, board.map(text => Card.fromString(text))));
+        const results = runouts.length > 1
+            ? game.potManager.distributeRunouts(game.players, runouts)
+            : game.potManager.distributePots(game.players, runouts[0].handEvaluations, runouts[0].lowEvaluations);
+
+        for (let result of results) {
+            totals[result.playerId] = (totals[result.playerId] || 0) + result.amount;
+        }
+        return totals;
+    }
+
+    static verifyAll(records) {
+        return records.map(record => {
+            if (record.invalid) {
+                return { handNumber: record.handNumber, ok: false, issues: [`Could not parse the hand: ${record.invalid}`], mismatches: [] };
+            }
+            try {
+                return this.verify(record);
+            } catch (error) {
+                return { handNumber: record.handNumber, ok: false, issues: [error.message], mismatches: [] };
+            }
+        });
+    }
+
+    // Node: parses and verifies every hand in a file; a hand that can't be
+    // parsed is reported on its own without hiding the rest
+    static verifyFile(path) {
+        const fs = require('fs');
+        return this.verifyAll(HandHistoryParser.parse(fs.readFileSync(path, 'utf8'), { keepInvalid: true }));
+    }
+}
+
+// ============================================================================
+// EXPORTS
+// ============================================================================
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        HandHistoryParser,
+        HandReplayer
+    };
+}
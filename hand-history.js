@@ -0,0 +1,327 @@
+// ============================================================================
+// HAND HISTORY EXPORT
+// ============================================================================
+//
+// Turns the hand records kept by TexasHoldemGame (game.handRecords) into
+// PokerStars-style text hand histories that tracking and review tools can
+// import. Hands are separated by blank lines, as in a PokerStars session file.
+
+const HAND_HISTORY_GAME_NAMES = {
+    'holdem': "Hold'em No Limit",
+    'plo': 'Omaha Pot Limit',
+    'short-deck': "6+ Hold'em No Limit",
+    'holdem-hi-lo': "Hold'em Hi/Lo No Limit",
+    'omaha-hi-lo': 'Omaha Hi/Lo Pot Limit'
+};
+
+const HAND_HISTORY_STREETS = [
+    { id: 'pre_flop', name: 'Pre-flop', header: null, cards: 0 },
+    { id: 'flop', name: 'Flop', header: 'FLOP', cards: 3 },
+    { id: 'turn', name: 'Turn', header: 'TURN', cards: 4 },
+    { id: 'river', name: 'River', header: 'RIVER', cards: 5 }
+];
+
+class HandHistoryExporter {
+    static toText(record) {
+        const lines = [];
+        const money = (amount) => `$${amount}`;
+        const nameOf = (playerId) => record.seats.find(s => s.playerId === playerId).name;
+
+        lines.push(`PokerStars Hand #${record.handNumber}: ${this.gameName(record.variant)} ` +
+            `(${money(record.smallBlind)}/${money(record.bigBlind)}) - ${this.formatDate(record.startedAt)}`);
+        lines.push(`Table '${record.table}' ${record.maxSeats}-max Seat #${record.buttonSeat} is the button`);
+
+        for (let seat of record.seats) {
+            lines.push(`Seat ${seat.seat}: ${seat.name} (${money(seat.stack)} in chips)`);
+        }
+
+        // Antes, blinds and straddles are posted before the hole cards are dealt
+        const posts = record.actions.filter(a => ['ante', 'small-blind', 'big-blind', 'small-and-big-blinds', 'straddle'].includes(a.type));
+        for (let action of posts) {
+            lines.push(this.formatAction(action));
+        }
+
+        lines.push('*** HOLE CARDS ***');
+        for (let seat of record.seats) {
+            const cards = record.holeCards[seat.playerId];
+            if (cards) {
+                lines.push(`Dealt to ${seat.name} [${cards.join(' ')}]`);
+            }
+        }
+
+        // The uncalled bet goes back straight after the last action, before any
+        // further board cards of an all-in runout
+        const lastAction = record.actions[record.actions.length - 1];
+        const returnUncalled = () => {
+            if (record.uncalledBet) {
+                lines.push(`Uncalled bet (${money(record.uncalledBet.amount)}) returned to ${nameOf(record.uncalledBet.playerId)}`);
+            }
+        };
+
+        // A board run twice deals the streets after the all-in once per board
+        const shared = this.sharedCards(record);
+        const twice = (street) => record.secondBoard && street.cards > shared;
+
+        for (let street of HAND_HISTORY_STREETS) {
+            if (street.header) {
+                if (record.board.length < street.cards) break;
+                lines.push(this.streetHeader(`${twice(street) ? 'FIRST ' : ''}${street.header}`, record.board, street.cards));
+            }
+
+            const actions = record.actions.filter(a => a.street === street.id && !posts.includes(a));
+            for (let action of actions) {
+                if (action.timedOut) {
+                    lines.push(`${action.player} has timed out`);
+                }
+                lines.push(this.formatAction(action));
+            }
+            if (lastAction && lastAction.street === street.id) {
+                returnUncalled();
+            }
+        }
+
+        for (let street of HAND_HISTORY_STREETS.filter(twice)) {
+            lines.push(this.streetHeader(`SECOND ${street.header}`, record.secondBoard, street.cards));
+        }
+
+        const collected = this.collectedByPot(record);
+        const showdowns = record.secondBoard
+            ? [{ header: 'FIRST SHOW DOWN', shown: record.showdown, runout: 0 }, { header: 'SECOND SHOW DOWN', shown: record.secondShowdown, runout: 1 }]
+            : [{ header: 'SHOW DOWN', shown: record.showdown, runout: null }];
+
+        for (let showdown of showdowns) {
+            if (showdown.shown.length > 0) {
+                lines.push(`*** ${showdown.header} ***`);
+                for (let shown of showdown.shown) {
+                    lines.push(`${nameOf(shown.playerId)}: shows [${shown.cards.join(' ')}] (${this.describeShown(shown)})`);
+                }
+            }
+
+            // Shares not tied to a board (a pot nobody contested) come with the first
+            for (let entry of collected.filter(c => (c.runout || 0) === (showdown.runout || 0))) {
+                lines.push(`${nameOf(entry.playerId)} collected ${money(entry.amount)} from ${this.potName(entry.potIndex, record)}`);
+            }
+        }
+
+        lines.push('*** SUMMARY ***');
+        const contested = this.contestedPots(record);
+        let potLine = `Total pot ${money(record.totalPot)}`;
+        if (contested.length > 1) {
+            potLine += ' ' + contested.map((amount, i) =>
+                `${i === 0 ? 'Main pot' : `Side pot-${i}`} ${money(amount)}.`).join(' ');
+        }
+        lines.push(`${potLine} | Rake ${money(record.rake)}`);
+
+        if (record.secondBoard) {
+            lines.push('Hand was run twice');
+            lines.push(`FIRST Board [${record.board.join(' ')}]`);
+            lines.push(`SECOND Board [${record.secondBoard.join(' ')}]`);
+        } else if (record.board.length > 0) {
+            lines.push(`Board [${record.board.join(' ')}]`);
+        }
+
+        for (let seat of record.seats) {
+            lines.push(this.summarizeSeat(seat, record, collected));
+        }
+
+        return lines.join('\n');
+    }
+
+    static sessionToText(records) {
+        return records.map(record => this.toText(record)).join('\n\n\n') + '\n';
+    }
+
+    // The structured hand records themselves, readable by HandHistoryParser
+    static toJson(records) {
+        return JSON.stringify({ hands: records }, null, 2);
+    }
+
+    static formatAction(action) {
+        const money = (amount) => `$${amount}`;
+        const allIn = action.allIn ? ' and is all-in' : '';
+
+        switch (action.type) {
+            case 'ante':
+                return `${action.player}: posts the ante ${money(action.amount)}${allIn}`;
+            case 'small-blind':
+                return `${action.player}: posts small blind ${money(action.amount)}${allIn}`;
+            case 'big-blind':
+                return `${action.player}: posts big blind ${money(action.amount)}${allIn}`;
+            case 'small-and-big-blinds':
+                return `${action.player}: posts small & big blinds ${money(action.amount)}${allIn}`;
+            case 'straddle':
+                return `${action.player}: posts straddle ${money(action.amount)}${allIn}`;
+            case 'fold':
+                return `${action.player}: folds`;
+            case 'check':
+                return `${action.player}: checks`;
+            case 'call':
+                return `${action.player}: calls ${money(action.amount)}${allIn}`;
+            case 'bet':
+                return `${action.player}: bets ${money(action.amount)}${allIn}`;
+            case 'raise':
+                return `${action.player}: raises ${money(action.raiseBy)} to ${money(action.to)}${allIn}`;
+            default:
+                return `${action.player}: ${action.type}`;
+        }
+    }
+
+    // What each player collected from each pot, leaving out the uncalled bet
+    // (which the engine pays back as part of a 'return')
+    static collectedByPot(record) {
+        let uncalled = record.uncalledBet ? record.uncalledBet.amount : 0;
+        const collected = [];
+
+        for (let result of record.results) {
+            let amount = result.amount;
+            if (result.type === 'return' && record.uncalledBet && result.playerId === record.uncalledBet.playerId) {
+                const refunded = Math.min(uncalled, amount);
+                uncalled -= refunded;
+                amount -= refunded;
+            }
+            if (amount <= 0) continue;
+
+            const runout = result.runout !== undefined ? result.runout : null;
+            const existing = collected.find(c =>
+                c.playerId === result.playerId && c.potIndex === result.potIndex && c.runout === runout);
+            if (existing) {
+                existing.amount += amount;
+            } else {
+                collected.push({ playerId: result.playerId, potIndex: result.potIndex, runout, amount });
+            }
+        }
+
+        return collected;
+    }
+
+    // '*** FLOP *** [Ah 7d 2c]' or '*** TURN *** [Ah 7d 2c] [5s]' for the first `cards` of a board
+    static streetHeader(name, board, cards) {
+        const previous = board.slice(0, cards === 3 ? 3 : cards - 1);
+        return cards === 3
+            ? `*** ${name} *** [${previous.join(' ')}]`
+            : `*** ${name} *** [${previous.join(' ')}] [${board[cards - 1]}]`;
+    }
+
+    // Board cards dealt before a board was run twice (5 when it wasn't)
+    static sharedCards(record) {
+        if (!record.secondBoard) return 5;
+        let shared = 0;
+        while (shared < 5 && record.board[shared] === record.secondBoard[shared]) {
+            shared++;
+        }
+        return shared;
+    }
+
+    // Pot sizes after rake, without the uncalled bet
+    static contestedPots(record) {
+        const amounts = record.pots.map(pot => pot.amount);
+        if (record.uncalledBet && amounts.length > 0) {
+            amounts[amounts.length - 1] -= record.uncalledBet.amount;
+        }
+        return amounts.filter(amount => amount > 0);
+    }
+
+    static potName(potIndex, record) {
+        if (this.contestedPots(record).length <= 1) return 'pot';
+        return potIndex === 0 ? 'main pot' : `side pot-${potIndex}`;
+    }
+
+    static describeShown(shown) {
+        if (shown.lowDescription) {
+            return `HI: ${shown.description}; LO: ${shown.lowDescription}`;
+        }
+        return shown.description;
+    }
+
+    static summarizeSeat(seat, record, collected) {
+        const positions = [];
+        if (seat.seat === record.buttonSeat) positions.push('button');
+        for (let action of record.actions) {
+            if (action.playerId !== seat.playerId) continue;
+            if (action.type === 'small-blind') positions.push('small blind');
+            if (action.type === 'big-blind') positions.push('big blind');
+        }
+
+        const label = `Seat ${seat.seat}: ${seat.name}${positions.length ? ` (${positions.join(', ')})` : ''}`;
+        const won = collected.filter(c => c.playerId === seat.playerId).reduce((sum, c) => sum + c.amount, 0);
+        const shown = record.showdown.find(s => s.playerId === seat.playerId);
+
+        if (shown) {
+            const cards = `[${shown.cards.join(' ')}]`;
+            return won > 0
+                ? `${label} showed ${cards} and won ($${won}) with ${this.describeShown(shown)}`
+                : `${label} showed ${cards} and lost with ${this.describeShown(shown)}`;
+        }
+
+        const fold = record.actions.find(a => a.playerId === seat.playerId && a.type === 'fold');
+        if (fold) {
+            const street = HAND_HISTORY_STREETS.find(s => s.id === fold.street);
+            const putIn = record.actions.some(a => a.playerId === seat.playerId && !['fold', 'check', 'ante'].includes(a.type));
+            if (fold.street === 'pre_flop') {
+                return `${label} folded before Flop${putIn ? '' : " (didn't bet)"}`;
+            }
+            return `${label} folded on the ${street.name}`;
+        }
+
+        if (won > 0) {
+            return `${label} collected ($${won})`;
+        }
+        return `${label} mucked`;
+    }
+
+    static gameName(variant) {
+        return HAND_HISTORY_GAME_NAMES[variant.id] || variant.name;
+    }
+
+    static formatDate(timestamp) {
+        const date = new Date(timestamp);
+        const pad = (n) => String(n).padStart(2, '0');
+        return `${date.getUTCFullYear()}/${pad(date.getUTCMonth() + 1)}/${pad(date.getUTCDate())} ` +
+            `${pad(date.getUTCHours())}:${pad(date.getUTCMinutes())}:${pad(date.getUTCSeconds())} UTC`;
+    }
+
+    static fileName(records, format = 'text') {
+        const first = records[0];
+        const last = records[records.length - 1];
+        const hands = first === last ? `hand-${first.handNumber}` : `hands-${first.handNumber}-${last.handNumber}`;
+        return `poker-${first.sessionSeed}-${hands}.${format === 'json' ? 'json' : 'txt'}`;
+    }
+
+    // Browser: saves the records as a text ('text') or JSON ('json') file through a temporary link
+    static download(records, format = 'text') {
+        const blob = format === 'json'
+            ? new Blob([this.toJson(records)], { type: 'application/json' })
+            : new Blob([this.sessionToText(records)], { type: 'text/plain' });
+        const url = URL.createObjectURL(blob);
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = this.fileName(records, format);
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+        URL.revokeObjectURL(url);
+    }
+
+    // Node: writes (or appends to) a hand history file
+    static writeToFile(path, records, append = false) {
+        const fs = require('fs');
+        const text = this.sessionToText(records);
+        if (append && fs.existsSync(path)) {
+            fs.appendFileSync(path, '\n\n' + text);
+        } else {
+            fs.writeFileSync(path, text);
+        }
+        return path;
+    }
+}
+
+// ============================================================================
+// EXPORTS
+// ============================================================================
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        HandHistoryExporter,
+        HAND_HISTORY_GAME_NAMES
+    };
+}
@@ -0,0 +1,353 @@
+// ============================================================================
+// HAND RANGES
+// ============================================================================
+
+// In the browser the engine is loaded by an earlier <script> tag
+const RANGE_IMPORTS = typeof module !== 'undefined' && module.exports ? require('./game-engine.js') : { Card, SUITS };
+
+// Rank characters used by range notation, strongest first
+const RANGE_RANKS = 'AKQJT98765432';
+
+// The 169 starting-hand classes ordered by all-in equity against one random
+// hand. Used to expand percentage notation such as '15%'.
+const PREFLOP_HAND_ORDER = [
+    'AA', 'KK', 'QQ', 'JJ', 'TT', '99', '88', 'AKs', 'AQs', '77', 'AJs', 'AKo', 'ATs', 'AQo', 'AJo', 'KQs',
+    '66', 'A9s', 'ATo', 'KJs', 'A8s', 'KTs', 'KQo', 'A7s', 'A9o', 'KJo', '55', 'QJs', 'A6s', 'A8o', 'K9s',
+    'A5s', 'KTo', 'QTs', 'A4s', 'A7o', 'A3s', 'K8s', 'QJo', 'K9o', 'A6o', 'A5o', 'JTs', 'Q9s', 'K7s', 'A2s',
+    'QTo', '44', 'A4o', 'K6s', 'K8o', 'Q8s', 'J9s', 'A3o', 'K5s', 'Q9o', 'K7o', 'JTo', 'A2o', 'K4s', 'Q7s',
+    'K6o', 'T9s', 'J8s', 'K3s', '33', 'Q6s', 'Q8o', 'K5o', 'J9o', 'K2s', 'Q5s', 'K4o', 'J7s', 'T8s', 'Q4s',
+    'Q7o', 'K3o', 'T9o', 'J8o', 'Q6o', 'Q3s', '98s', 'T7s', 'J6s', '22', 'K2o', 'Q2s', 'J5s', 'Q5o', 'T8o',
+    'J7o', 'Q4o', '97s', 'J4s', 'T6s', 'J3s', '98o', 'Q3o', 'T7o', '87s', 'J6o', '96s', 'Q2o', 'J2s', 'T5s',
+    'J5o', 'T4s', '86s', '97o', 'T6o', 'J4o', '95s', 'T3s', '76s', 'J3o', '87o', 'T2s', '85s', '96o', 'J2o',
+    'T5o', '94s', 'T4o', '75s', '93s', '86o', '65s', '95o', '84s', 'T3o', '92s', '76o', 'T2o', '74s', '54s',
+    '85o', '64s', '83s', '94o', '75o', '82s', '93o', '73s', '65o', '53s', '84o', '63s', '92o', '43s', '74o',
+    '54o', '72s', '52s', '64o', '62s', '83o', '42s', '82o', '73o', '53o', '63o', '32s', '43o', '72o', '52o',
+    '62o', '42o', '32o'
+];
+
+const TOTAL_COMBOS = 1326;
+
+class HandRange {
+    constructor() {
+        // Combo key (e.g. 'AhKh') -> weight in (0, 1]
+        this.weights = new Map();
+    }
+
+    // Parses comma-separated range notation:
+    //   pairs 'TT', plus 'TT+', 'A2s+', 'KTo+', spans '22-55', 'K9s-KTs',
+    //   classes 'AKs', 'AKo', 'AK', combos 'AhKh', percentages '15%',
+    //   and an optional weight suffix 'AKo:0.5'
+    static parse(notation) {
+        const range = new HandRange();
+
+        for (let rawToken of notation.split(',')) {
+            const token = rawToken.trim();
+            if (!token) continue;
+
+            const [body, weightText] = token.split(':');
+            const weight = weightText === undefined ? 1 : parseFloat(weightText);
+            if (!(weight >= 0 && weight <= 1)) {
+                throw new Error(`Invalid weight in range token: ${token}`);
+            }
+
+            for (let key of HandRange.expandToken(body.trim())) {
+                range.setWeight(key, weight);
+            }
+        }
+
+        return range;
+    }
+
+    static expandToken(token) {
+        const { Card } = RANGE_IMPORTS;
+        const percent = /^(\d+(?:\.\d+)?)%$/.exec(token);
+        if (percent) {
+            return HandRange.topPercentClasses(parseFloat(percent[1])).flatMap(c => HandRange.classCombos(c));
+        }
+
+        if (/^([2-9TJQKA][shdc]){2}$/i.test(token)) {
+            const cards = Card.parseList(token);
+            if (cards[0].code === cards[1].code) {
+                throw new Error(`Invalid combo: ${token}`);
+            }
+            return [HandRange.comboKey(cards[0], cards[1])];
+        }
+
+        const span = /^([2-9TJQKA]{2}[so]?)-([2-9TJQKA]{2}[so]?)$/i.exec(token);
+        if (span) {
+            return HandRange.expandSpan(HandRange.parseClass(span[1]), HandRange.parseClass(span[2]), token)
+                .flatMap(c => HandRange.classCombos(c));
+        }
+
+        const plus = /^([2-9TJQKA]{2}[so]?)\+$/i.exec(token);
+        if (plus) {
+            return HandRange.expandPlus(HandRange.parseClass(plus[1]))
+                .flatMap(c => HandRange.classCombos(c));
+        }
+
+        if (/^[2-9TJQKA]{2}[so]?$/i.test(token)) {
+            return HandRange.classCombos(HandRange.parseClass(token));
+        }
+
+        throw new Error(`Invalid range token: ${token}`);
+    }
+
+    // 'AKs' -> { high: 'A', low: 'K', suited: true }; 'AK' leaves suited undefined
+    static parseClass(text) {
+        const upper = text.toUpperCase();
+        let high = upper[0];
+        let low = upper[1];
+        if (RANGE_RANKS.indexOf(high) > RANGE_RANKS.indexOf(low)) {
+            [high, low] = [low, high];
+        }
+
+        const suffix = text[2] ? text[2].toLowerCase() : null;
+        if (high === low && suffix) {
+            throw new Error(`Pairs cannot be suited or offsuit: ${text}`);
+        }
+
+        return {
+            high,
+            low,
+            suited: suffix === 's' ? true : suffix === 'o' ? false : undefined
+        };
+    }
+
+    // 'TT+' -> TT..AA; 'A2s+' -> A2s..AKs (kicker climbs up to the top card)
+    static expandPlus(handClass) {
+        const classes = [];
+        const lowIndex = RANGE_RANKS.indexOf(handClass.low);
+
+        if (handClass.high === handClass.low) {
+            for (let i = lowIndex; i >= 0; i--) {
+                classes.push({ high: RANGE_RANKS[i], low: RANGE_RANKS[i] });
+            }
+            return classes;
+        }
+
+        const highIndex = RANGE_RANKS.indexOf(handClass.high);
+        for (let i = lowIndex; i > highIndex; i--) {
+            classes.push({ high: handClass.high, low: RANGE_RANKS[i], suited: handClass.suited });
+        }
+        return classes;
+    }
+
+    // '22-55' or 'K9s-KTs' (either order)
+    static expandSpan(from, to, token) {
+        const isPair = from.high === from.low;
+        if (isPair !== (to.high === to.low) || (!isPair && (from.high !== to.high || from.suited !== to.suited))) {
+            throw new Error(`Invalid range span: ${token}`);
+        }
+
+        const a = RANGE_RANKS.indexOf(from.low);
+        const b = RANGE_RANKS.indexOf(to.low);
+        const classes = [];
+
+        for (let i = Math.min(a, b); i <= Math.max(a, b); i++) {
+            const rank = RANGE_RANKS[i];
+            classes.push(isPair ? { high: rank, low: rank } : { high: from.high, low: rank, suited: from.suited });
+        }
+        return classes;
+    }
+
+    static topPercentClasses(percent) {
+        const target = TOTAL_COMBOS * Math.min(percent, 100) / 100;
+        const classes = [];
+        let combos = 0;
+
+        for (let name of PREFLOP_HAND_ORDER) {
+            if (combos >= target) break;
+            const handClass = HandRange.parseClass(name);
+            classes.push(handClass);
+            combos += HandRange.classCombos(handClass).length;
+        }
+        return classes;
+    }
+
+    static classCombos(handClass) {
+        const { Card, SUITS } = RANGE_IMPORTS;
+        const highRank = HandRange.toEngineRank(handClass.high);
+        const lowRank = HandRange.toEngineRank(handClass.low);
+        const keys = [];
+
+        for (let i = 0; i < SUITS.length; i++) {
+            for (let j = 0; j < SUITS.length; j++) {
+                if (handClass.high === handClass.low && j <= i) continue;
+                if (handClass.suited === true && i !== j) continue;
+                if (handClass.suited === false && i === j) continue;
+                keys.push(HandRange.comboKey(new Card(SUITS[i], highRank), new Card(SUITS[j], lowRank)));
+            }
+        }
+        return keys;
+    }
+
+    static toEngineRank(rangeRank) {
+        return rangeRank === 'T' ? '10' : rangeRank;
+    }
+
+    // Canonical key with the higher card first, e.g. 'AhKh', 'Td9c'
+    static comboKey(card1, card2) {
+        const [first, second] = card1.code > card2.code ? [card1, card2] : [card2, card1];
+        return first.toShortString() + second.toShortString();
+    }
+
+    setWeight(key, weight) {
+        if (weight > 0) {
+            this.weights.set(key, weight);
+        } else {
+            this.weights.delete(key);
+        }
+    }
+
+    getWeight(card1, card2) {
+        return this.weights.get(HandRange.comboKey(card1, card2)) || 0;
+    }
+
+    contains(card1, card2) {
+        return this.weights.has(HandRange.comboKey(card1, card2));
+    }
+
+    // Concrete combos with card removal: any combo sharing a card with
+    // `deadCards` (hero's hand, the board, ...) is dropped
+    combos(deadCards = []) {
+        const { Card } = RANGE_IMPORTS;
+        const dead = new Set(deadCards.map(c => c.code));
+        const result = [];
+
+        for (let [key, weight] of this.weights) {
+            const cards = Card.parseList(key);
+            if (dead.has(cards[0].code) || dead.has(cards[1].code)) continue;
+            result.push({ key, cards, weight });
+        }
+        return result;
+    }
+
+    // Weighted number of combos still available after card removal
+    comboCount(deadCards = []) {
+        return this.combos(deadCards).reduce((sum, combo) => sum + combo.weight, 0);
+    }
+
+    percentage() {
+        let total = 0;
+        for (let weight of this.weights.values()) {
+            total += weight;
+        }
+        return total / TOTAL_COMBOS * 100;
+    }
+
+    // Compact notation: whole classes are merged into plus/span runs, partial
+    // classes are written as individual combos
+    toString() {
+        const { Card } = RANGE_IMPORTS;
+        const byClass = new Map();
+        for (let [key, weight] of this.weights) {
+            const name = HandRange.classOfKey(key);
+            if (!byClass.has(name)) byClass.set(name, []);
+            byClass.get(name).push({ key, weight });
+        }
+
+        const fullClasses = [];
+        const looseCombos = [];
+
+        for (let [name, entries] of byClass) {
+            const handClass = HandRange.parseClass(name);
+            const size = HandRange.classCombos(handClass).length;
+            const weight = entries[0].weight;
+
+            if (entries.length === size && entries.every(e => e.weight === weight)) {
+                fullClasses.push({ ...handClass, weight });
+            } else {
+                looseCombos.push(...entries);
+            }
+        }
+
+        const tokens = [
+            ...HandRange.compressPairs(fullClasses.filter(c => c.high === c.low)),
+            ...HandRange.compressKickers(fullClasses.filter(c => c.high !== c.low && c.suited)),
+            ...HandRange.compressKickers(fullClasses.filter(c => c.high !== c.low && !c.suited)),
+            ...looseCombos
+                .sort((a, b) => Card.parseList(b.key)[0].code - Card.parseList(a.key)[0].code)
+                .map(e => HandRange.withWeight(e.key, e.weight))
+        ];
+
+        return tokens.join(', ');
+    }
+
+    static classOfKey(key) {
+        const { Card } = RANGE_IMPORTS;
+        const [first, second] = Card.parseList(key);
+        const high = first.toShortString()[0];
+        const low = second.toShortString()[0];
+        if (high === low) return high + low;
+        return high + low + (first.suit === second.suit ? 's' : 'o');
+    }
+
+    static withWeight(text, weight) {
+        return weight === 1 ? text : `${text}:${weight}`;
+    }
+
+    static compressPairs(pairs) {
+        const runs = HandRange.consecutiveRuns(pairs, c => RANGE_RANKS.indexOf(c.low));
+
+        return runs.map(run => {
+            const top = run[0].low;
+            const bottom = run[run.length - 1].low;
+            let text;
+            if (top === 'A' && run.length > 1) text = `${bottom}${bottom}+`;
+            else if (run.length === 1) text = top + top;
+            else text = `${top}${top}-${bottom}${bottom}`;
+            return HandRange.withWeight(text, run[0].weight);
+        });
+    }
+
+    static compressKickers(classes) {
+        const tokens = [];
+
+        for (let high of RANGE_RANKS) {
+            const sameHigh = classes.filter(c => c.high === high);
+            const runs = HandRange.consecutiveRuns(sameHigh, c => RANGE_RANKS.indexOf(c.low));
+
+            for (let run of runs) {
+                const suffix = run[0].suited ? 's' : 'o';
+                const top = run[0].low;
+                const bottom = run[run.length - 1].low;
+                const topKicker = RANGE_RANKS[RANGE_RANKS.indexOf(high) + 1];
+                let text;
+                if (top === topKicker && run.length > 1) text = `${high}${bottom}${suffix}+`;
+                else if (run.length === 1) text = `${high}${top}${suffix}`;
+                else text = `${high}${top}${suffix}-${high}${bottom}${suffix}`;
+                tokens.push(HandRange.withWeight(text, run[0].weight));
+            }
+        }
+        return tokens;
+    }
+
+    // Splits classes into runs of adjacent ranks sharing the same weight
+    static consecutiveRuns(classes, indexOf) {
+        const sorted = [...classes].sort((a, b) => indexOf(a) - indexOf(b));
+        const runs = [];
+
+        for (let handClass of sorted) {
+            const run = runs[runs.length - 1];
+            const previous = run ? run[run.length - 1] : null;
+            if (previous && indexOf(handClass) === indexOf(previous) + 1 && handClass.weight === previous.weight) {
+                run.push(handClass);
+            } else {
+                runs.push([handClass]);
+            }
+        }
+        return runs;
+    }
+}
+
+// ============================================================================
+// EXPORTS
+// ============================================================================
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        HandRange,
+        PREFLOP_HAND_ORDER,
+        RANGE_RANKS
+    };
+}
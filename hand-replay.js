@@ -0,0 +1,210 @@
+// ============================================================================
+// HAND REPLAY
+// ============================================================================
+//
+// Rebuilds the table step by step from a hand record (see
+// TexasHoldemGame.handRecords). Each step is a snapshot shaped like the live
+// game (Player objects, currentBets, communityCards, pots) so the UI can
+// render it with the same methods it uses during play. A board run twice
+// adds a step for each street of the second board.
+
+// In the browser these are loaded by earlier <script> tags
+const REPLAY_IMPORTS = typeof module !== 'undefined' && module.exports
+    ? { ...require('./game-engine.js'), ...require('./main.js') }
+    : { Card, PotManager, Player };
+
+class HandReplay {
+    constructor(record) {
+        this.record = record;
+        this.steps = this.buildSteps();
+    }
+
+    get length() {
+        return this.steps.length;
+    }
+
+    buildSteps() {
+        const { Card, PotManager, Player } = REPLAY_IMPORTS;
+        const record = this.record;
+        const steps = [];
+        const potManager = new PotManager();
+        const players = record.seats.map(seat => {
+            const player = new Player(seat.playerId, seat.name, seat.stack, Boolean(seat.isHuman));
+            player.seat = seat.seat;
+            player.holeCards = (record.holeCards[seat.playerId] || []).map(text => Card.fromString(text));
+            return player;
+        });
+        const boardByStreet = this.boardByStreet();
+        let communityCards = [];
+        let secondBoard = [];
+        let currentBets = {};
+        let antes = {};
+        let street = 'pre_flop';
+
+        const snapshot = (label, actingPlayerId = null) => {
+            const pots = potManager.pots.map(pot => ({ amount: pot.amount, eligiblePlayers: [...pot.eligiblePlayers] }));
+            const streetBets = [...Object.values(currentBets), ...Object.values(antes)].reduce((sum, bet) => sum + bet, 0);
+            steps.push({
+                label,
+                street,
+                players: players.map(player => this.clonePlayer(player)),
+                currentBets: { ...currentBets },
+                communityCards: [...communityCards],
+                secondBoard: [...secondBoard],
+                pot: potManager.getTotalPot() + streetBets,
+                pots,
+                buttonSeat: record.buttonSeat,
+                actingPlayerId
+            });
+        };
+
+        const collectBets = () => {
+            potManager.createPots(players, currentBets, street);
+            currentBets = {};
+            for (let player of players) {
+                player.currentBet = 0;
+                if (!player.folded) player.lastAction = null;
+            }
+        };
+
+        const dealStreet = (next) => {
+            collectBets();
+            street = next;
+            const cards = boardByStreet[next].map(text => Card.fromString(text));
+            communityCards = [...communityCards, ...cards];
+            const name = next.charAt(0).toUpperCase() + next.slice(1);
+            snapshot(`${name}: ${boardByStreet[next].join(' ')}`);
+        };
+
+        snapshot(`Hand #${record.handNumber} dealt`);
+
+        for (let action of record.actions) {
+            for (let next of ['flop', 'turn', 'river']) {
+                if (this.streetIndex(action.street) >= this.streetIndex(next) && this.streetIndex(street) < this.streetIndex(next)) {
+                    dealStreet(next);
+                }
+            }
+
+            const player = players.find(p => p.id === action.playerId);
+
+            // Antes are dead money, collected into the pot before the blinds
+            if (action.type === 'ante') {
+                antes[player.id] = player.bet(action.amount);
+                player.lastAction = this.describeAction(action);
+                snapshot(`${player.name} ${player.lastAction}`, player.id);
+                continue;
+            }
+            if (Object.keys(antes).length > 0) {
+                if (record.anteType === 'big-blind') {
+                    potManager.addDeadMoney(players, antes, 'antes');
+                } else {
+                    potManager.createPots(players, antes, 'antes');
+                }
+                antes = {};
+            }
+
+            if (action.type === 'fold') {
+                player.folded = true;
+            }
+            // A dead small blind goes straight into the pot
+            const dead = action.dead || 0;
+            if (dead > 0) {
+                potManager.addDeadMoney(players, { [player.id]: player.bet(dead) }, 'dead blinds');
+            }
+            if (action.amount - dead > 0) {
+                player.bet(action.amount - dead);
+                currentBets[player.id] = (currentBets[player.id] || 0) + action.amount - dead;
+            }
+            player.lastAction = this.describeAction(action);
+            snapshot(`${player.name} ${player.lastAction}`, player.id);
+        }
+
+        // Board cards dealt after the last action (all-in runouts)
+        for (let next of ['flop', 'turn', 'river']) {
+            if (boardByStreet[next] && this.streetIndex(street) < this.streetIndex(next)) {
+                dealStreet(next);
+            }
+        }
+        collectBets();
+
+        // Run it twice: the second board's own streets follow the first board
+        if (record.secondBoard) {
+            const counts = { flop: 3, turn: 4, river: 5 };
+            for (let next of ['flop', 'turn', 'river']) {
+                const cards = record.secondBoard.slice(0, counts[next]);
+                if (cards.join() === record.board.slice(0, counts[next]).join()) continue;
+                secondBoard = cards.map(text => Card.fromString(text));
+                snapshot(`Second ${next}: ${next === 'flop' ? cards.join(' ') : cards[cards.length - 1]}`);
+            }
+        }
+
+        // Payouts: every pot is emptied into the winners' stacks
+        const won = {};
+        for (let result of record.results) {
+            won[result.playerId] = (won[result.playerId] || 0) + result.amount;
+        }
+        for (let player of players) {
+            if (won[player.id]) {
+                player.win(won[player.id]);
+                player.lastAction = `wins $${won[player.id]}`;
+            }
+        }
+        potManager.clearPots();
+
+        const winners = players.filter(p => won[p.id]).map(p => `${p.name} wins $${won[p.id]}`);
+        snapshot(winners.length > 0 ? winners.join(', ') : 'Hand complete');
+
+        return steps;
+    }
+
+    // Board cards per street, from boardByStreet or split out of the full board
+    boardByStreet() {
+        if (this.record.boardByStreet && Object.keys(this.record.boardByStreet).length > 0) {
+            return this.record.boardByStreet;
+        }
+        const board = this.record.board || [];
+        const streets = {};
+        if (board.length >= 3) streets.flop = board.slice(0, 3);
+        if (board.length >= 4) streets.turn = [board[3]];
+        if (board.length >= 5) streets.river = [board[4]];
+        return streets;
+    }
+
+    streetIndex(street) {
+        return ['pre_flop', 'flop', 'turn', 'river'].indexOf(street);
+    }
+
+    describeAction(action) {
+        const allIn = action.allIn ? ' (all-in)' : '';
+        switch (action.type) {
+            case 'ante': return `posts ante $${action.amount}`;
+            case 'small-blind': return `posts SB $${action.amount}`;
+            case 'big-blind': return `posts BB $${action.amount}`;
+            case 'small-and-big-blinds': return `posts SB + BB $${action.amount}`;
+            case 'straddle': return `straddles $${action.amount}`;
+            case 'fold': return action.timedOut ? 'times out and folds' : 'folds';
+            case 'check': return action.timedOut ? 'times out and checks' : 'checks';
+            case 'call': return `calls $${action.amount}${allIn}`;
+            case 'bet': return `bets $${action.amount}${allIn}`;
+            case 'raise': return `raises to $${action.to}${allIn}`;
+            default: return action.type;
+        }
+    }
+
+    clonePlayer(player) {
+        const { Player } = REPLAY_IMPORTS;
+        const copy = new Player(player.id, player.name, player.stack, player.isHuman);
+        Object.assign(copy, player, { holeCards: [...player.holeCards] });
+        return copy;
+    }
+}
+
+// ============================================================================
+// EXPORTS
+// ============================================================================
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        HandReplay
+    };
+}
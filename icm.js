@@ -0,0 +1,126 @@
+// ============================================================================
+// INDEPENDENT CHIP MODEL
+// ============================================================================
+//
+// Converts tournament chip stacks into prize money ($EV) with the
+// Malmuth-Harville model: a player finishes 1st with probability
+// stack / total chips, and each later place is decided the same way among the
+// players not yet placed. Stacks and results are indexed like the input
+// array; payouts[0] is the prize for 1st place.
+
+class ICMCalculator {
+    // $EV of every stack. Runs over subsets of the players, so it stays fast
+    // up to 10 players (2^10 subsets) where enumerating finishing orders would not.
+    static equities(stacks, payouts) {
+        const n = stacks.length;
+        if (n > 10) {
+            throw new Error(`ICM supports up to 10 players, got ${n}`);
+        }
+        if (stacks.some(stack => stack < 0)) {
+            throw new Error('ICM stacks cannot be negative');
+        }
+
+        const equities = new Array(n).fill(0);
+        const live = stacks.map((stack, i) => i).filter(i => stacks[i] > 0);
+        const total = live.reduce((sum, i) => sum + stacks[i], 0);
+        const places = Math.min(payouts.length, live.length);
+
+        // probability[mask]: chance that exactly the players in `mask` take the
+        // top popcount(mask) places, in some order
+        const probability = new Float64Array(1 << n);
+        const chips = new Float64Array(1 << n);
+        probability[0] = 1;
+        let level = [0];
+
+        for (let place = 0; place < places; place++) {
+            const next = new Set();
+            for (let mask of level) {
+                const remaining = total - chips[mask];
+                for (let i of live) {
+                    if (mask & (1 << i)) continue;
+                    const chance = probability[mask] * stacks[i] / remaining;
+                    const grown = mask | (1 << i);
+                    equities[i] += chance * payouts[place];
+                    probability[grown] += chance;
+                    chips[grown] = chips[mask] + stacks[i];
+                    next.add(grown);
+                }
+            }
+            level = [...next];
+        }
+
+        // Busted players share whatever places the live players can't fill
+        const busted = stacks.map((stack, i) => i).filter(i => stacks[i] === 0);
+        const leftover = payouts.slice(live.length).reduce((sum, prize) => sum + prize, 0);
+        for (let i of busted) {
+            equities[i] = leftover / busted.length;
+        }
+
+        return equities;
+    }
+
+    // Expected prize for an outcome list [{ probability, stacks }]
+    static expectedValue(outcomes, payouts, player) {
+        return outcomes.reduce((sum, outcome) =>
+            sum + outcome.probability * this.equities(outcome.stacks, payouts)[player], 0);
+    }
+
+    // $EV of calling versus folding to `villain`'s bet. `stacks` are the chips
+    // behind, `pot` everything already in the middle (the villain's bet
+    // included) and `toCall` what the hero still has to put in; a bet bigger
+    // than the hero's stack has its excess returned. Because $EV is linear in
+    // equity, it also returns the equity the call needs under ICM and in chips.
+    static callEV({ stacks, payouts, hero, villain, pot, toCall, equity = 0.5 }) {
+        const call = Math.min(toCall, stacks[hero]);
+        const excess = toCall - call;
+        const adjusted = (changes) => stacks.map((stack, i) => stack + (changes[i] || 0));
+
+        const foldStacks = adjusted({ [villain]: pot });
+        const winStacks = adjusted({ [hero]: pot - excess, [villain]: excess });
+        const loseStacks = adjusted({ [hero]: -call, [villain]: pot + call });
+
+        const fold = this.equities(foldStacks, payouts)[hero];
+        const win = this.equities(winStacks, payouts)[hero];
+        const lose = this.equities(loseStacks, payouts)[hero];
+
+        return {
+            fold,
+            call: equity * win + (1 - equity) * lose,
+            win,
+            lose,
+            requiredEquity: win > lose ? Math.min(1, Math.max(0, (fold - lose) / (win - lose))) : 1,
+            chipRequiredEquity: call / (pot - excess + call)
+        };
+    }
+
+    // $EV of shoving all-in against one opponent who calls with probability
+    // `callProbability` (winning `equity` of the time when called), versus
+    // folding and leaving the `pot` (blinds and antes) to that opponent
+    static shoveEV({ stacks, payouts, hero, villain, pot, callProbability, equity }) {
+        const effective = Math.min(stacks[hero], stacks[villain]);
+        const adjusted = (changes) => stacks.map((stack, i) => stack + (changes[i] || 0));
+
+        const fold = this.equities(adjusted({ [villain]: pot }), payouts)[hero];
+        const stolen = this.equities(adjusted({ [hero]: pot }), payouts)[hero];
+        const win = this.equities(adjusted({ [hero]: pot + effective, [villain]: -effective }), payouts)[hero];
+        const lose = this.equities(adjusted({ [hero]: -effective, [villain]: pot + effective }), payouts)[hero];
+        const called = equity * win + (1 - equity) * lose;
+
+        return {
+            fold,
+            shove: (1 - callProbability) * stolen + callProbability * called,
+            stolen,
+            called
+        };
+    }
+}
+
+// ============================================================================
+// EXPORTS
+// ============================================================================
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        ICMCalculator
+    };
+}
@@ -2,6 +2,14 @@
 // GAME STATE & ORCHESTRATION
 // ============================================================================
 
+// In the browser the engine and bots are loaded by earlier <script> tags
+const GAME_IMPORTS = typeof module !== 'undefined' && module.exports
+    ? { ...require('./game-engine.js'), ...require('./equity-calculator.js'), ...require('./bot-ai.js') }
+    : {
+        Deck, SeededRandom, HandEvaluator, LowHandEvaluator, PotManager, GAME_VARIANTS, createShortDeckVariant,
+        EquityCalculator, BotPersonality, BotDecisionEngine, BOT_PERSONALITIES
+    };
+
 const GAME_STATES = {
     WAITING: 'waiting',
     PRE_FLOP: 'pre_flop',
@@ -21,6 +29,101 @@ const PLAYER_ACTIONS = {
     ALL_IN: 'all-in'
 };
 
+// ============================================================================
+// SCHEDULING
+// ============================================================================
+//
+// The engine never waits on its own: every pause between steps goes through a
+// scheduler. The browser supplies a TimerScheduler so bots appear to think and
+// cards land one street at a time; without one the game runs headless on a
+// ManualScheduler and is advanced with game.step() / runUntilHumanAction().
+
+// Pause before each kind of step, in milliseconds
+const GAME_DELAYS = {
+    botAction: 800,
+    nextPlayer: 100,
+    nextStreet: 1000,
+    runout: 1500,
+    clockTick: 1000,
+    afterShowdown: 3000,
+    afterSinglePlayerWin: 2000,
+    nextHand: 2000
+};
+
+class TimerScheduler {
+    constructor(delays = GAME_DELAYS) {
+        this.delays = delays;
+    }
+
+    schedule(task, reason) {
+        setTimeout(task, this.delays[reason] || 0);
+    }
+}
+
+// Holds scheduled steps in order until run() is called; nothing happens by itself
+class ManualScheduler {
+    constructor() {
+        this.queue = [];
+    }
+
+    schedule(task, reason) {
+        this.queue.push({ task, reason });
+    }
+
+    get pending() {
+        return this.queue.length;
+    }
+
+    // Runs the oldest scheduled step; false when there is nothing to run
+    runNext() {
+        const next = this.queue.shift();
+        if (!next) return false;
+        next.task();
+        return true;
+    }
+
+    clear() {
+        this.queue = [];
+    }
+}
+
+// ============================================================================
+// TABLE CONFIGURATION
+// ============================================================================
+//
+// options.table sets the table size, stakes and who sits down; anything left
+// out falls back to these defaults. Bots are given as personality ids or
+// { name, personality } and fill the seats after the human's; unnamed bots
+// take a name from TexasHoldemGame.defaultLineup().
+
+const DEFAULT_TABLE_CONFIG = {
+    seats: 6,
+    startingStack: 1000,
+    smallBlind: 5,
+    bigBlind: 10,
+    ante: 0,
+    // 'classic' or 'big-blind'
+    anteType: 'classic',
+    // null, 'utg' or 'button'
+    straddle: null,
+    // 'dead' or 'moving'; see moveButton
+    buttonRule: 'dead',
+    // Seconds per decision (0 for no clock) and for the session; see ACTION CLOCK
+    actionTime: 0,
+    timeBank: 0,
+    // e.g. { percentage: 5, cap: 30 }; see PotManager.takeRake
+    rake: null,
+    runItTwice: false,
+    // Default to 40 and 100 big blinds
+    minBuyIn: null,
+    maxBuyIn: null,
+    // Default to the lineup
+    bots: null,
+    roster: null
+};
+
+const MAX_TABLE_SEATS = 10;
+
 class Player {
     constructor(id, name, stack, isHuman = false, personality = null) {
         this.id = id;
@@ -35,6 +138,14 @@ class Player {
         this.allIn = false;
         this.isActive = true;
         this.lastAction = null;
+
+        // Cash-game table state; see TABLE MANAGEMENT
+        this.seat = null;
+        this.pendingBuyIn = 0;
+        this.sittingOut = false;
+        this.leaving = false;
+        this.missedBigBlind = false;
+        this.timeBank = 0;
     }
 
     reset() {
@@ -69,83 +180,328 @@ class Player {
 }
 
 class TexasHoldemGame {
-    constructor(eventCallback = null) {
+    constructor(eventCallback = null, options = {}) {
+        const { Deck, SeededRandom, PotManager } = GAME_IMPORTS;
+        // Table size, stakes and lineup (see DEFAULT_TABLE_CONFIG)
+        this.table = TexasHoldemGame.resolveTableConfig(options.table);
+
+        // Fixed for the session, null when empty; `players` are dealt into this hand
+        this.seats = new Array(this.table.seats).fill(null);
         this.players = [];
-        this.deck = new Deck();
+        this.nextPlayerId = 0;
+
+        // Every hand is shuffled from its own seed, drawn from the session seed,
+        // so both single hands and whole sessions can be dealt again exactly
+        if (options.seed !== undefined && !(Number.isInteger(options.seed) && options.seed >= 0 && options.seed <= 0xFFFFFFFF)) {
+            throw new Error(`Session seeds are whole numbers from 0 to ${0xFFFFFFFF}, not ${options.seed}`);
+        }
+        this.sessionSeed = options.seed !== undefined ? options.seed : SeededRandom.randomSeed();
+        this.seedSource = new SeededRandom(this.sessionSeed);
+        this.rng = new SeededRandom(this.sessionSeed);
+        this.handSeed = null;
+
+        this.variant = TexasHoldemGame.resolveVariant(options.variant, options);
+        this.deck = new Deck(this.rng, this.variant.ranks);
         this.communityCards = [];
         this.potManager = new PotManager();
         this.state = GAME_STATES.WAITING;
         this.dealerIndex = 0;
+        // The button and blinds move by seat; see moveButton
+        this.buttonSeat = 0;
+        this.buttonRule = this.table.buttonRule;
+        this.blindSeats = null;
+        this.smallBlindIndex = -1;
+        this.bigBlindIndex = -1;
         this.currentPlayerIndex = 0;
         this.currentBet = 0;
         this.minRaise = 0;
-        this.smallBlind = 5;
-        this.bigBlind = 10;
+        // The last full bet or raise, and the one each player last acted on
+        this.lastFullBet = 0;
+        this.fullBetFaced = {};
+        this.smallBlind = this.table.smallBlind;
+        this.bigBlind = this.table.bigBlind;
+        this.ante = this.table.ante;
+        this.anteType = this.table.anteType;
+        // Cash games only; the human's straddle is toggled from the UI
+        this.straddle = options.tournament ? null : this.table.straddle;
+        this.humanStraddle = false;
+        this.straddleIndex = -1;
+        // Cash games only; see startRunout
+        this.runItTwice = options.tournament ? false : this.table.runItTwice;
+        this.humanRunItTwice = false;
+        this.runout = null;
+        this.secondBoard = [];
+        // Sit & go mode; see tournament.js
+        this.tournament = options.tournament || null;
+        // Tournament chips belong to the prize pool, so they are never raked
+        this.rake = options.tournament ? null : this.table.rake;
+        this.totalRake = 0;
+        // Cash-game buy-in limits and replacement bots (see TABLE MANAGEMENT)
+        this.buyIn = { min: this.table.minBuyIn, max: this.table.maxBuyIn };
+        this.roster = null;
+        this.totalBuyIns = 0;
+        this.totalCashOuts = 0;
+        this.waitingForPlayers = false;
+        // Chips that should be on the table: stacks, bets, pots and rake
+        this.expectedChipTotal = null;
         this.handNumber = 0;
         this.actionHistory = [];
+        // Hand records for export; see hand-history.js
+        this.tableName = options.tableName || 'Educational Poker';
+        this.handRecord = null;
+        this.handRecords = [];
         this.eventCallback = eventCallback || (() => { });
+        this.scheduler = options.scheduler || new ManualScheduler();
+        this.gameOver = false;
         this.waitingForHumanAction = false;
+        // The human's shot clock and whatever is holding it; see ACTION CLOCK
+        this.actionTime = this.table.actionTime;
+        this.actionClock = null;
+        this.clockHolds = new Set();
+        // pause() holds every scheduled step until resume()
+        this.paused = false;
+        this.heldSteps = [];
         this.currentBets = {};
         this.currentBets = {};
         this.playersActedThisRound = {};
         this.bettingRoundInProgress = false; // Guard against race conditions
     }
 
-    initializePlayers() {
-        // Create human player
-        this.players.push(new Player(0, 'You', 1000, true));
+    // Accepts a GAME_VARIANTS entry or its id ('holdem', 'plo', 'short-deck', ...).
+    // Short deck honours options.tripsBeatStraight.
+    static resolveVariant(variant, options = {}) {
+        const { GAME_VARIANTS, createShortDeckVariant } = GAME_IMPORTS;
+        if (!variant) return GAME_VARIANTS.TEXAS_HOLDEM;
+        if (typeof variant === 'object') return variant;
+
+        const match = Object.values(GAME_VARIANTS).find(v => v.id === variant);
+        if (!match) {
+            throw new Error(`Unknown game variant: ${variant}`);
+        }
+
+        if (match.id === 'short-deck' && options.tripsBeatStraight !== undefined) {
+            return createShortDeckVariant({ tripsBeatStraight: options.tripsBeatStraight });
+        }
+        return match;
+    }
+
+    // Fills in and checks a table configuration; throws on anything unplayable
+    static resolveTableConfig(table = {}) {
+        const config = { ...DEFAULT_TABLE_CONFIG, ...table };
+
+        if (!(Number.isInteger(config.seats) && config.seats >= 2 && config.seats <= MAX_TABLE_SEATS)) {
+            throw new Error(`A table has 2 to ${MAX_TABLE_SEATS} seats, not ${config.seats}`);
+        }
+        if (!(Number.isInteger(config.smallBlind) && config.smallBlind > 0 &&
+            Number.isInteger(config.bigBlind) && config.bigBlind >= config.smallBlind)) {
+            throw new Error(`Invalid blinds $${config.smallBlind}/$${config.bigBlind}`);
+        }
+        if (!(Number.isInteger(config.startingStack) && config.startingStack > 0)) {
+            throw new Error(`Invalid starting stack ${config.startingStack}`);
+        }
+        if (!(Number.isInteger(config.ante) && config.ante >= 0)) {
+            throw new Error(`Invalid ante ${config.ante}`);
+        }
+        if (!['classic', 'big-blind'].includes(config.anteType)) {
+            throw new Error(`Unknown ante type: ${config.anteType}`);
+        }
+        if (![null, 'utg', 'button'].includes(config.straddle)) {
+            throw new Error(`Unknown straddle: ${config.straddle}`);
+        }
+        if (!['dead', 'moving'].includes(config.buttonRule)) {
+            throw new Error(`Unknown button rule: ${config.buttonRule}`);
+        }
+        for (let key of ['actionTime', 'timeBank']) {
+            if (!(Number.isInteger(config[key]) && config[key] >= 0)) {
+                throw new Error(`Invalid ${key} ${config[key]}`);
+            }
+        }
+        if (config.rake !== null) {
+            TexasHoldemGame.validateRake(config.rake);
+        }
+        if (typeof config.runItTwice !== 'boolean') {
+            throw new Error(`runItTwice must be true or false, not ${config.runItTwice}`);
+        }
+        if (config.bots && config.bots.length > config.seats - 1) {
+            throw new Error(`${config.bots.length} bots and the human don't fit at a ${config.seats}-seat table`);
+        }
 
-        // Create 5 bot players with different personalities
-        const botConfigs = [
+        config.minBuyIn = config.minBuyIn || Math.min(40 * config.bigBlind, config.startingStack);
+        config.maxBuyIn = config.maxBuyIn || Math.max(100 * config.bigBlind, config.startingStack);
+        if (config.minBuyIn > config.maxBuyIn) {
+            throw new Error(`Minimum buy-in $${config.minBuyIn} is above the maximum $${config.maxBuyIn}`);
+        }
+        return config;
+    }
+
+    // Whole-chip caps and a percentage from 0 to 100; throws otherwise
+    static validateRake(rake) {
+        const chips = (value) => Number.isInteger(value) && value >= 0;
+
+        if (typeof rake !== 'object') {
+            throw new Error(`Invalid rake ${rake}`);
+        }
+        if (!(Number.isFinite(rake.percentage) && rake.percentage >= 0 && rake.percentage <= 100)) {
+            throw new Error(`Rake must be 0 to 100 percent, not ${rake.percentage}`);
+        }
+        if (rake.cap !== undefined && !chips(rake.cap)) {
+            throw new Error(`Invalid rake cap ${rake.cap}`);
+        }
+        if (rake.caps !== undefined && !(rake.caps && typeof rake.caps === 'object' &&
+            Object.entries(rake.caps).every(([size, cap]) => chips(Number(size)) && chips(cap)))) {
+            throw new Error(`Invalid rake caps ${JSON.stringify(rake.caps)}`);
+        }
+    }
+
+    // Named bots in the order they're seated by default; whoever isn't seated
+    // waits on the cash-game roster
+    static defaultLineup() {
+        const { BOT_PERSONALITIES } = GAME_IMPORTS;
+        return [
             { name: 'Sarah', personality: BOT_PERSONALITIES.TIGHT_AGGRESSIVE },
             { name: 'Mike', personality: BOT_PERSONALITIES.LOOSE_AGGRESSIVE },
             { name: 'Emma', personality: BOT_PERSONALITIES.TIGHT_PASSIVE },
             { name: 'Jake', personality: BOT_PERSONALITIES.LOOSE_PASSIVE },
-            { name: 'Alex', personality: BOT_PERSONALITIES.ADAPTIVE }
+            { name: 'Alex', personality: BOT_PERSONALITIES.ADAPTIVE },
+            { name: 'Olivia', personality: BOT_PERSONALITIES.TIGHT_AGGRESSIVE },
+            { name: 'Ben', personality: BOT_PERSONALITIES.LOOSE_AGGRESSIVE },
+            { name: 'Chloe', personality: BOT_PERSONALITIES.TIGHT_PASSIVE },
+            { name: 'Sam', personality: BOT_PERSONALITIES.LOOSE_PASSIVE },
+            { name: 'Nina', personality: BOT_PERSONALITIES.ADAPTIVE },
+            { name: 'Leo', personality: BOT_PERSONALITIES.TIGHT_AGGRESSIVE },
+            { name: 'Mia', personality: BOT_PERSONALITIES.LOOSE_AGGRESSIVE },
+            { name: 'Omar', personality: BOT_PERSONALITIES.TIGHT_PASSIVE },
+            { name: 'Zoe', personality: BOT_PERSONALITIES.LOOSE_PASSIVE },
+            { name: 'Ravi', personality: BOT_PERSONALITIES.ADAPTIVE }
         ];
+    }
+
+    // Turns configured bots (personality ids or { name, personality }) into
+    // named bot configs. Unnamed bots take the first free lineup name with
+    // their personality, so a default table gets its usual names.
+    static resolveBots(entries, lineup) {
+        const { BOT_PERSONALITIES } = GAME_IMPORTS;
+        const personalities = Object.values(BOT_PERSONALITIES);
+
+        return entries.map((entry, i) => {
+            const config = typeof entry === 'string' ? { personality: entry } : { ...entry };
+            if (!personalities.includes(config.personality)) {
+                throw new Error(`Unknown bot personality: ${config.personality}`);
+            }
+            if (!config.name) {
+                const match = lineup.find(bot => bot.personality === config.personality) || lineup[0];
+                config.name = match ? match.name : `Bot ${i + 1}`;
+            }
 
-        for (let i = 0; i < botConfigs.length; i++) {
-            const config = botConfigs[i];
-            const personality = new BotPersonality(config.personality, config.name);
-            const bot = new Player(i + 1, config.name, 1000, false, personality);
-            bot.decisionEngine = new BotDecisionEngine(personality);
-            this.players.push(bot);
+            const taken = lineup.findIndex(bot => bot.name === config.name);
+            if (taken >= 0) lineup.splice(taken, 1);
+            return config;
+        });
+    }
+
+    initializePlayers() {
+        // Create human player
+        const stack = this.tournament ? this.tournament.startingStack : this.table.startingStack;
+        this.seatPlayer(new Player(this.nextPlayerId++, 'You', stack, true));
+
+        // Bots fill the other seats in order; lineup names not used here are
+        // left for the roster
+        const lineup = TexasHoldemGame.defaultLineup();
+        const bots = this.table.bots
+            ? TexasHoldemGame.resolveBots(this.table.bots, lineup)
+            : lineup.splice(0, this.seats.length - 1);
+
+        for (let config of bots) {
+            this.seatPlayer(this.createBot(config, stack));
         }
+        this.roster = this.table.roster ? TexasHoldemGame.resolveBots(this.table.roster, lineup) : lineup;
+        this.players = this.getSeatedPlayers();
+        this.expectedChipTotal = this.players.reduce((sum, p) => sum + p.stack, 0);
 
         this.emit('playersInitialized', { players: this.players });
     }
 
-    startNewHand() {
+    startNewHand(handSeed = null) {
+        if (this.expectedChipTotal === null) {
+            this.expectedChipTotal = this.getSeatedPlayers().reduce((sum, p) => sum + p.stack, 0) + this.totalRake;
+        }
+
+        // Rebuys, departures and replacements happen between hands; a cash
+        // game without two players to deal in waits for someone to sit in
+        if (!this.tournament) {
+            this.waitingForPlayers = false;
+            this.updateSeats();
+            this.waitingForPlayers = this.getPlayersToDeal().length < 2;
+            if (this.waitingForPlayers) {
+                this.state = GAME_STATES.WAITING;
+                this.emit('waitingForPlayers', { players: this.getSeatedPlayers() });
+                return;
+            }
+        }
+
         this.handNumber++;
+        if (this.tournament) {
+            this.startTournamentLevel();
+        }
+        this.handSeed = handSeed !== null ? handSeed >>> 0 : this.seedSource.nextSeed();
+        this.rng.setSeed(this.handSeed);
         this.deck.reset();
         this.communityCards = [];
+        this.runout = null;
+        this.secondBoard = [];
         this.potManager.reset();
         this.currentBet = 0;
         this.minRaise = this.bigBlind;
-        this.actionHistory = [];
+        this.actionHistory = [{
+            player: null,
+            action: 'seed',
+            amount: null,
+            seed: this.handSeed,
+            timestamp: Date.now()
+        }];
         this.currentBets = {};
         this.waitingForHumanAction = false;
+        this.actionClock = null;
 
         // Reset all players
-        for (let player of this.players) {
+        for (let player of this.getSeatedPlayers()) {
             player.reset();
-            this.currentBets[player.id] = 0;
         }
 
-        // Remove eliminated players
-        this.players = this.players.filter(p => p.stack > 0);
+        if (this.tournament) {
+            // Busted players are placed and their seats left empty
+            this.placeEliminatedPlayers();
+            for (let player of this.getSeatedPlayers()) {
+                if (player.stack === 0) this.seats[player.seat] = null;
+            }
+        }
+
+        this.players = this.getPlayersToDeal();
+        for (let player of this.players) {
+            this.currentBets[player.id] = 0;
+        }
 
         if (this.players.length < 2) {
-            this.emit('gameOver', { winner: this.players[0] });
+            this.gameOver = true;
+            if (this.tournament) {
+                this.tournament.finish(this.players[0]);
+                this.emit('gameOver', { winner: this.players[0], results: this.tournament.getResults(), tournament: this.tournament });
+            } else {
+                this.emit('gameOver', { winner: this.players[0] });
+            }
             return;
         }
 
-        // Rotate dealer button
-        this.dealerIndex = (this.dealerIndex + 1) % this.players.length;
+        this.moveButton();
+
+        this.handRecord = this.createHandRecord();
+        this.state = GAME_STATES.PRE_FLOP;
 
         this.emit('newHand', {
             handNumber: this.handNumber,
-            dealerIndex: this.dealerIndex
+            dealerIndex: this.dealerIndex,
+            seed: this.handSeed,
+            sessionSeed: this.sessionSeed
         });
 
         // Post blinds
@@ -155,36 +511,185 @@ class TexasHoldemGame {
         this.dealHoleCards();
 
         // Start pre-flop betting
-        this.state = GAME_STATES.PRE_FLOP;
         this.startBettingRound();
     }
 
+    // Blinds and antes for this hand come from the tournament's current level
+    startTournamentLevel() {
+        const tournament = this.tournament;
+        if (!tournament.started) {
+            tournament.start(this.players);
+        }
+
+        const levelUp = tournament.nextHand();
+        const level = tournament.currentLevel;
+        this.smallBlind = level.smallBlind;
+        this.bigBlind = level.bigBlind;
+        this.ante = level.ante;
+
+        if (levelUp) {
+            this.emit('levelUp', { level: tournament.levelNumber, smallBlind: level.smallBlind, bigBlind: level.bigBlind, ante: level.ante });
+        }
+    }
+
+    // Players who lost their last chips last hand are placed; when several bust
+    // together, the one who started the hand with more chips finishes higher
+    placeEliminatedPlayers() {
+        const startingStacks = {};
+        if (this.handRecord) {
+            for (let seat of this.handRecord.seats) {
+                startingStacks[seat.playerId] = seat.stack;
+            }
+        }
+
+        for (let finisher of this.tournament.recordEliminations(this.players, startingStacks)) {
+            const player = this.players.find(p => p.id === finisher.playerId);
+            this.emit('playerEliminated', { player, place: finisher.place });
+        }
+    }
+
+    // Antes are dead money: they go straight into the pot and don't count
+    // towards anyone's bet on the pre-flop street
+    postAntes() {
+        const antes = {};
+        for (let player of this.players) {
+            antes[player.id] = player.bet(this.ante);
+            // Counted in front of the player until every ante is in
+            this.currentBets[player.id] = antes[player.id];
+            this.addAction(player, 'posts ante', antes[player.id], { type: 'ante' });
+        }
+
+        this.potManager.createPots(this.players, antes, 'antes');
+        for (let player of this.players) {
+            this.currentBets[player.id] = 0;
+        }
+        return antes;
+    }
+
+    // One ante for the whole table, paid by the big blind as dead money. The
+    // blind comes first when the stack can't cover both.
+    postBigBlindAnte(bbPlayer) {
+        const amount = Math.min(this.ante, Math.max(0, bbPlayer.stack - this.bigBlind));
+        if (amount === 0) return null;
+
+        const antes = { [bbPlayer.id]: bbPlayer.bet(amount) };
+        this.potManager.addDeadMoney(this.players, antes, 'antes');
+        this.addAction(bbPlayer, 'posts ante', amount, { type: 'ante' });
+        return antes;
+    }
+
+    // Places the button and blinds for this hand. With a moving button the
+    // button goes to the next player dealt in and the blinds are the two after
+    // it. With a dead button the big blind goes to the next player dealt in
+    // after last hand's big blind, the small blind to last hand's big blind
+    // seat and the button to last hand's small blind seat; either may be dead
+    // (nobody there is dealt in). Heads-up the button is the small blind and
+    // the big blind still moves on, so nobody posts it twice in a row.
+    moveButton() {
+        const previous = this.blindSeats;
+        const headsUp = this.players.length === 2;
+        let smallBlindSeat = null;
+        let bigBlindSeat = null;
+
+        if (this.buttonRule === 'dead' && previous) {
+            bigBlindSeat = this.nextSeatDealtIn(previous.bigBlind);
+            const buttonSeat = headsUp ? this.nextSeatDealtIn(bigBlindSeat) : previous.smallBlind;
+            smallBlindSeat = headsUp ? buttonSeat : previous.bigBlind;
+            // Someone who sat down between last hand's blinds can leave the
+            // big blind on the button; the button then just moves on
+            if (bigBlindSeat === buttonSeat && !headsUp) {
+                bigBlindSeat = null;
+            } else {
+                this.buttonSeat = buttonSeat;
+            }
+        }
+        if (bigBlindSeat === null) {
+            this.buttonSeat = this.nextSeatDealtIn(this.buttonSeat);
+            smallBlindSeat = headsUp ? this.buttonSeat : this.nextSeatDealtIn(this.buttonSeat);
+            bigBlindSeat = this.nextSeatDealtIn(smallBlindSeat);
+        }
+
+        const indexOfSeat = (seat) => this.players.findIndex(p => p.seat === seat);
+        this.blindSeats = { smallBlind: smallBlindSeat, bigBlind: bigBlindSeat };
+        this.smallBlindIndex = indexOfSeat(smallBlindSeat);
+        this.bigBlindIndex = indexOfSeat(bigBlindSeat);
+
+        // A dead button acts through the first player dealt in before it
+        for (let i = 0; i < this.seats.length; i++) {
+            this.dealerIndex = indexOfSeat((this.buttonSeat - i + this.seats.length) % this.seats.length);
+            if (this.dealerIndex >= 0) break;
+        }
+    }
+
     postBlinds() {
-        const sbIndex = (this.dealerIndex + 1) % this.players.length;
-        const bbIndex = (this.dealerIndex + 2) % this.players.length;
+        // A dead small blind is not posted
+        const sbPlayer = this.players[this.smallBlindIndex] || null;
+        const bbPlayer = this.players[this.bigBlindIndex];
 
-        const sbPlayer = this.players[sbIndex];
-        const bbPlayer = this.players[bbIndex];
+        let antes = null;
+        if (this.ante > 0) {
+            antes = this.anteType === 'big-blind' ? this.postBigBlindAnte(bbPlayer) : this.postAntes();
+        }
 
-        const sbAmount = sbPlayer.bet(this.smallBlind);
-        const bbAmount = bbPlayer.bet(this.bigBlind);
+        const sbAmount = sbPlayer ? sbPlayer.bet(this.smallBlind) : 0;
+        if (sbPlayer) {
+            this.currentBets[sbPlayer.id] = sbAmount;
+            this.addAction(sbPlayer, 'posts small blind', sbAmount, { type: 'small-blind', to: sbAmount });
+        }
 
-        this.currentBets[sbPlayer.id] = sbAmount;
+        const bbAmount = bbPlayer.bet(this.bigBlind);
         this.currentBets[bbPlayer.id] = bbAmount;
-        this.currentBet = this.bigBlind;
+        this.addAction(bbPlayer, 'posts big blind', bbAmount, { type: 'big-blind', to: bbAmount });
 
-        this.addAction(sbPlayer, 'posts small blind', sbAmount);
-        this.addAction(bbPlayer, 'posts big blind', bbAmount);
+        this.markMissedBlinds(bbPlayer);
+        this.postMissedBlinds(sbPlayer, bbPlayer);
+
+        this.currentBet = this.bigBlind;
+        this.straddleIndex = -1;
+        const straddle = this.straddle ? this.postStraddle(this.bigBlindIndex) : null;
 
         this.emit('blindsPosted', {
-            smallBlind: { player: sbPlayer, amount: sbAmount },
-            bigBlind: { player: bbPlayer, amount: bbAmount }
+            smallBlind: sbPlayer ? { player: sbPlayer, amount: sbAmount } : null,
+            bigBlind: { player: bbPlayer, amount: bbAmount },
+            antes,
+            straddle
         });
     }
 
+    // A voluntary blind raise to two big blinds from under the gun (or the
+    // button). The straddler acts last pre-flop: after an under-the-gun
+    // straddle action starts on their left, and after a button straddle it
+    // starts under the gun as usual and the blinds act before the button (see
+    // nextToAct). Needs three players and more chips than the straddle, and
+    // nobody straddles from a dead button.
+    postStraddle(bbIndex) {
+        if (this.players.length < 3) return null;
+        if (this.straddle === 'button' && this.players[this.dealerIndex].seat !== this.buttonSeat) return null;
+
+        const index = this.straddle === 'button' ? this.dealerIndex : (bbIndex + 1) % this.players.length;
+        const player = this.players[index];
+        const amount = 2 * this.bigBlind;
+        const chips = amount - (this.currentBets[player.id] || 0);
+        if (player.stack <= chips || !this.wantsToStraddle(player)) return null;
+
+        this.currentBets[player.id] += player.bet(chips);
+        this.currentBet = amount;
+        this.straddleIndex = index;
+        this.addAction(player, 'posts straddle', chips, { type: 'straddle', to: amount });
+        return { player, amount };
+    }
+
+    wantsToStraddle(player) {
+        if (player.isHuman) return this.humanStraddle;
+        return player.decisionEngine ? player.decisionEngine.wantsToStraddle() : false;
+    }
+
     dealHoleCards() {
         for (let player of this.players) {
-            player.holeCards = this.deck.deal(2);
+            player.holeCards = this.deck.deal(this.variant.holeCards);
+            if (this.handRecord) {
+                this.handRecord.holeCards[player.id] = player.holeCards.map(c => c.toShortString());
+            }
         }
 
         this.emit('holeCardsDealt', { players: this.players });
@@ -198,20 +703,34 @@ class TexasHoldemGame {
             this.playersActedThisRound[player.id] = false;
         }
 
+        // Bets and raises are sized from the big blind up; before the flop the
+        // big blind (or straddle) is the opening full bet
+        const preFlop = this.state === GAME_STATES.PRE_FLOP;
+        this.minRaise = preFlop ? this.currentBet : this.bigBlind;
+        this.lastFullBet = preFlop ? this.currentBet : 0;
+        this.fullBetFaced = {};
+
         // Determine first player to act
         if (this.state === GAME_STATES.PRE_FLOP) {
-            // Pre-flop: start after big blind
-            this.currentPlayerIndex = (this.dealerIndex + 3) % this.players.length;
+            // Pre-flop: start after big blind, which heads-up is the button,
+            // or after an under-the-gun straddle; a button straddler acts last
+            if (this.buttonStraddled()) {
+                this.currentPlayerIndex = this.nextToAct(this.straddleIndex);
+            } else {
+                const opener = this.straddleIndex >= 0 ? this.straddleIndex : this.bigBlindIndex;
+                this.currentPlayerIndex = (opener + 1) % this.players.length;
+            }
         } else {
-            // Post-flop: start after dealer
+            // Post-flop: start after dealer (or a dead button), so heads-up the button acts last
             this.currentPlayerIndex = (this.dealerIndex + 1) % this.players.length;
             // Reset current bet for post-flop rounds
             this.currentBet = 0;
         }
 
-        // Find first active player
-        while (!this.players[this.currentPlayerIndex].canAct()) {
-            this.currentPlayerIndex = (this.currentPlayerIndex + 1) % this.players.length;
+        // Find first active player (when everyone is all-in, processNextAction
+        // closes the round straight away)
+        while (this.players.some(p => p.canAct()) && !this.players[this.currentPlayerIndex].canAct()) {
+            this.currentPlayerIndex = this.nextToAct(this.currentPlayerIndex);
         }
 
         this.lastRaiserIndex = -1;
@@ -224,15 +743,15 @@ class TexasHoldemGame {
 
         const activePlayers = this.players.filter(p => p.canAct());
 
-        if (activePlayers.length === 0) {
-            // Everyone is all-in or folded
-            this.completeBettingRound();
+        if (this.players.filter(p => !p.folded).length === 1) {
+            // Only one player left (others folded), even if that player is all-in
+            this.handleSinglePlayerWin();
             return;
         }
 
-        if (activePlayers.length === 1 && this.players.filter(p => !p.folded).length === 1) {
-            // Only one player left (others folded)
-            this.handleSinglePlayerWin();
+        if (activePlayers.length === 0) {
+            // Everyone is all-in or folded
+            this.completeBettingRound();
             return;
         }
 
@@ -255,9 +774,11 @@ class TexasHoldemGame {
 
         this.emit('playerTurn', { player: currentPlayer });
 
-        if (!currentPlayer.isHuman) {
+        if (currentPlayer.isHuman) {
+            this.startActionClock(currentPlayer);
+        } else {
             // Bot makes decision
-            setTimeout(() => this.processBotAction(currentPlayer), 800);
+            this.schedule('botAction', () => this.processBotAction(currentPlayer));
         }
     }
 
@@ -280,7 +801,28 @@ class TexasHoldemGame {
             minRaise: this.minRaise,
             activePlayers: activePlayers,
             position: position,
-            bigBlind: this.bigBlind
+            bigBlind: this.bigBlind,
+            // Per player, so a big-blind ante counts like the classic antes it replaces
+            ante: this.anteType === 'big-blind' ? this.ante / this.players.length : this.ante,
+            variant: this.variant,
+            legalActions: this.getLegalActions(bot),
+            icm: this.tournament ? this.getIcmState(bot) : null
+        };
+    }
+
+    // Stacks behind and the prizes still to be won, indexed by seat order, for
+    // the bot's ICM decisions; the villain is whoever has bet the most
+    getIcmState(bot) {
+        const payouts = this.tournament.getPayouts().map(p => p.amount).slice(0, this.players.length);
+        const others = this.players.filter(p => p !== bot);
+        const villain = others.reduce((most, p) =>
+            (this.currentBets[p.id] || 0) > (this.currentBets[most.id] || 0) ? p : most, others[0]);
+
+        return {
+            stacks: this.players.map(p => p.stack),
+            payouts,
+            hero: this.players.indexOf(bot),
+            villain: this.players.indexOf(villain)
         };
     }
 
@@ -293,8 +835,95 @@ class TexasHoldemGame {
         return 'late';
     }
 
+    // What the player may do now. Bets and raises are sized as the player's
+    // total for the street ("raise to"): anything from minAmount to maxAmount,
+    // and a player who can't reach minAmount may still move all-in for less.
+    // callAmount is what a call puts in, capped at the stack.
+    getLegalActions(player) {
+        const committed = this.currentBets[player.id] || 0;
+        const allInAmount = committed + player.stack;
+        const legal = {
+            actions: [],
+            callAmount: Math.max(0, Math.min(this.currentBet - committed, player.stack)),
+            minAmount: null,
+            maxAmount: null,
+            allInAmount
+        };
+        if (!player.canAct()) return legal;
+
+        legal.actions.push(PLAYER_ACTIONS.FOLD);
+        legal.actions.push(legal.callAmount > 0 ? PLAYER_ACTIONS.CALL : PLAYER_ACTIONS.CHECK);
+
+        // Raising needs chips beyond the call and a bet that is still open to this
+        // player: an all-in too short to be a full raise doesn't reopen the betting
+        // to players who already acted
+        const open = !(player.id in this.fullBetFaced) || this.fullBetFaced[player.id] < this.lastFullBet;
+        if (allInAmount > this.currentBet && open) {
+            const maxAmount = committed + this.getMaxBet(player);
+            legal.actions.push(this.currentBet > 0 ? PLAYER_ACTIONS.RAISE : PLAYER_ACTIONS.BET);
+            legal.minAmount = Math.min(this.currentBet + this.minRaise, maxAmount);
+            legal.maxAmount = maxAmount;
+            if (maxAmount === allInAmount) {
+                legal.actions.push(PLAYER_ACTIONS.ALL_IN);
+            }
+        } else if (legal.callAmount === player.stack) {
+            // Calling puts the player all-in
+            legal.actions.push(PLAYER_ACTIONS.ALL_IN);
+        }
+        return legal;
+    }
+
+    // Turns any action into the legal one closest to it: bets and raises swap
+    // to match the betting, sizes are clamped to the legal range (all-in when
+    // they reach the stack), a raise that isn't allowed becomes a call, and a
+    // check facing a bet is a fold. Throws on an unknown action or a player
+    // who can't act.
+    normalizeAction(player, action, amount = 0) {
+        const legal = this.getLegalActions(player);
+        if (legal.actions.length === 0) {
+            throw new Error(`${player.name} cannot act now`);
+        }
+        if (!Object.values(PLAYER_ACTIONS).includes(action)) {
+            throw new Error(`Unknown action: ${action}`);
+        }
+
+        const canRaise = legal.maxAmount !== null;
+        const callOrCheck = legal.callAmount > 0
+            ? { action: legal.callAmount === player.stack ? PLAYER_ACTIONS.ALL_IN : PLAYER_ACTIONS.CALL, amount: legal.callAmount }
+            : { action: PLAYER_ACTIONS.CHECK, amount: 0 };
+
+        switch (action) {
+            case PLAYER_ACTIONS.FOLD:
+                return { action, amount: 0 };
+
+            case PLAYER_ACTIONS.CHECK:
+                return legal.callAmount > 0 ? { action: PLAYER_ACTIONS.FOLD, amount: 0 } : callOrCheck;
+
+            case PLAYER_ACTIONS.CALL:
+                return callOrCheck;
+
+            case PLAYER_ACTIONS.ALL_IN:
+                if (legal.actions.includes(PLAYER_ACTIONS.ALL_IN)) {
+                    return { action, amount: legal.allInAmount };
+                }
+                // Pot-limit: the most the player may raise to
+                amount = legal.maxAmount;
+                break;
+        }
+
+        if (!canRaise) return callOrCheck;
+
+        const to = Math.min(Math.max(amount, legal.minAmount), legal.maxAmount);
+        if (to === legal.allInAmount) {
+            return { action: PLAYER_ACTIONS.ALL_IN, amount: to };
+        }
+        return { action: this.currentBet > 0 ? PLAYER_ACTIONS.RAISE : PLAYER_ACTIONS.BET, amount: to };
+    }
+
+    // Amounts for bets, raises and all-ins are the player's total for the street
     processPlayerAction(player, action, amount = 0) {
-        const callAmount = this.currentBet - this.currentBets[player.id];
+        const previousBet = this.currentBet;
+        ({ action, amount } = this.normalizeAction(player, action, amount));
 
         // Mark that this player has acted in this round
         this.playersActedThisRound[player.id] = true;
@@ -303,70 +932,58 @@ class TexasHoldemGame {
             case PLAYER_ACTIONS.FOLD:
                 player.folded = true;
                 player.lastAction = 'fold';
-                this.addAction(player, 'folds');
+                this.addAction(player, 'folds', null, { type: 'fold' });
                 break;
 
             case PLAYER_ACTIONS.CHECK:
                 player.lastAction = 'check';
-                this.addAction(player, 'checks');
+                this.addAction(player, 'checks', null, { type: 'check' });
                 break;
 
             case PLAYER_ACTIONS.CALL:
-                const actualCall = player.bet(callAmount);
+                const actualCall = player.bet(amount);
                 this.currentBets[player.id] += actualCall;
                 player.lastAction = `call ${actualCall}`;
-                this.addAction(player, 'calls', actualCall);
+                this.addAction(player, 'calls', actualCall, { type: 'call', to: this.currentBets[player.id] });
                 break;
 
             case PLAYER_ACTIONS.BET:
-                const betAmount = player.bet(amount);
+                const betAmount = player.bet(amount - this.currentBets[player.id]);
                 this.currentBets[player.id] += betAmount;
-                this.currentBet = this.currentBets[player.id];
-                this.minRaise = betAmount;
-                this.lastRaiserIndex = this.currentPlayerIndex;
+                this.raiseTo(player, this.currentBets[player.id]);
                 player.lastAction = `bet ${betAmount}`;
-                this.addAction(player, 'bets', betAmount);
-                // Reset action tracking when someone bets
-                for (let p of this.players) {
-                    if (p.id !== player.id) {
-                        this.playersActedThisRound[p.id] = false;
-                    }
-                }
+                this.addAction(player, 'bets', betAmount, { type: 'bet', to: this.currentBet });
                 break;
 
             case PLAYER_ACTIONS.RAISE:
-                const raiseAmount = player.bet(amount);
+                const raiseAmount = player.bet(amount - this.currentBets[player.id]);
                 this.currentBets[player.id] += raiseAmount;
-                this.currentBet = this.currentBets[player.id];
-                this.minRaise = raiseAmount - callAmount;
-                this.lastRaiserIndex = this.currentPlayerIndex;
+                this.raiseTo(player, this.currentBets[player.id]);
                 player.lastAction = `raise to ${this.currentBet}`;
-                this.addAction(player, 'raises to', this.currentBet);
-                // Reset action tracking when someone raises
-                for (let p of this.players) {
-                    if (p.id !== player.id) {
-                        this.playersActedThisRound[p.id] = false;
-                    }
-                }
+                this.addAction(player, 'raises to', this.currentBet, {
+                    type: 'raise',
+                    chips: raiseAmount,
+                    to: this.currentBet,
+                    raiseBy: this.currentBet - previousBet
+                });
                 break;
 
             case PLAYER_ACTIONS.ALL_IN:
                 const allInAmount = player.bet(player.stack);
                 this.currentBets[player.id] += allInAmount;
-                if (this.currentBets[player.id] > this.currentBet) {
-                    this.currentBet = this.currentBets[player.id];
-                    this.lastRaiserIndex = this.currentPlayerIndex;
-                    // Reset action tracking when someone raises via all-in
-                    for (let p of this.players) {
-                        if (p.id !== player.id) {
-                            this.playersActedThisRound[p.id] = false;
-                        }
-                    }
+                const allInTo = this.currentBets[player.id];
+                if (allInTo > previousBet) {
+                    this.raiseTo(player, allInTo);
                 }
                 player.lastAction = 'all-in';
-                this.addAction(player, 'goes all-in', allInAmount);
+                this.addAction(player, 'goes all-in', allInAmount, {
+                    type: allInTo <= previousBet ? 'call' : (previousBet === 0 ? 'bet' : 'raise'),
+                    to: allInTo,
+                    raiseBy: allInTo - previousBet
+                });
                 break;
         }
+        this.fullBetFaced[player.id] = this.lastFullBet;
 
         // Update adaptive bot stats
         for (let p of this.players) {
@@ -382,10 +999,64 @@ class TexasHoldemGame {
         this.moveToNextPlayer();
     }
 
+    // Raises the bet to `to`. Everyone else has to act again, but only a full
+    // raise (or short all-ins adding up to one) lets those who already acted
+    // raise again, and only a full raise changes the minimum raise.
+    raiseTo(player, to) {
+        const increase = to - this.currentBet;
+        if (increase >= this.minRaise) {
+            this.minRaise = increase;
+            this.lastFullBet = to;
+        } else if (to - this.lastFullBet >= this.minRaise) {
+            this.lastFullBet = to;
+        }
+
+        this.currentBet = to;
+        this.lastRaiserIndex = this.currentPlayerIndex;
+        for (let p of this.players) {
+            if (p.id !== player.id) {
+                this.playersActedThisRound[p.id] = false;
+            }
+        }
+    }
+
+    // Largest number of chips the player may put in with one pot-limit bet or
+    // raise: the call plus the size of the pot after calling (never less than
+    // a minimum bet)
+    getPotLimitMax(player) {
+        const callAmount = this.currentBet - (this.currentBets[player.id] || 0);
+        return Math.max(this.getCurrentPotSize() + 2 * callAmount, callAmount + this.bigBlind);
+    }
+
+    getMaxBet(player) {
+        if (this.variant.bettingStructure === 'pot-limit') {
+            return Math.min(player.stack, this.getPotLimitMax(player));
+        }
+        return player.stack;
+    }
+
     moveToNextPlayer() {
-        this.currentPlayerIndex = (this.currentPlayerIndex + 1) % this.players.length;
+        this.currentPlayerIndex = this.nextToAct(this.currentPlayerIndex);
+
+        this.schedule('nextPlayer', () => this.processNextAction());
+    }
+
+    buttonStraddled() {
+        return this.state === GAME_STATES.PRE_FLOP && this.straddle === 'button' && this.straddleIndex >= 0;
+    }
 
-        setTimeout(() => this.processNextAction(), 100);
+    // The player on `index`'s left, except that pre-flop a button straddler
+    // acts after the big blind: the player before the button passes to the
+    // small blind, the big blind to the button and the button back under the gun
+    nextToAct(index) {
+        const count = this.players.length;
+        const next = (index + 1) % count;
+        if (!this.buttonStraddled()) return next;
+
+        const skipButton = (i) => i === this.straddleIndex ? (i + 1) % count : i;
+        if (index === this.bigBlindIndex) return this.straddleIndex;
+        if (index === this.straddleIndex) return skipButton((this.bigBlindIndex + 1) % count);
+        return skipButton(next);
     }
 
     isBettingRoundComplete() {
@@ -417,11 +1088,13 @@ class TexasHoldemGame {
         if (!this.bettingRoundInProgress) return; // Already completed?
         this.bettingRoundInProgress = false;
 
-        // Create pots from current bets
-        this.potManager.createPots(this.players, this.currentBets);
+        // Move this street's bets into the hand's pot ledger
+        this.potManager.createPots(this.players, this.currentBets, this.state);
 
         this.emit('bettingRoundComplete', {
-            pot: this.potManager.getTotalPot()
+            pot: this.potManager.getTotalPot(),
+            pots: this.potManager.pots,
+            streets: this.potManager.getStreetBreakdown()
         });
 
         // Reset current bets for next round
@@ -430,10 +1103,79 @@ class TexasHoldemGame {
         }
         this.currentBet = 0;
 
+        if (!this.runout && this.state !== GAME_STATES.RIVER && this.isAllInRunout()) {
+            this.startRunout();
+            return;
+        }
+
         // Progress to next state
         this.progressGameState();
     }
 
+    // Betting is over once fewer than two of the players still in the hand can bet
+    isAllInRunout() {
+        const live = this.players.filter(p => !p.folded);
+        return live.length >= 2 && live.filter(p => p.canAct()).length <= 1;
+    }
+
+    // The rest of the board is dealt without betting: the hands are turned face
+    // up, their equities are updated after every street and, when the table
+    // allows it and everyone agrees, the board is run twice
+    startRunout() {
+        const live = this.players.filter(p => !p.folded);
+        const shared = this.communityCards.length;
+        // Each board needs its burns and cards: 8 from pre-flop, 4 from the flop, 2 from the turn
+        const needed = { 0: 8, 3: 4, 4: 2 }[shared];
+        const twice = this.runItTwice && this.deck.cards.length >= 2 * needed &&
+            live.every(p => this.wantsToRunItTwice(p));
+
+        this.runout = { twice, sharedCards: shared, board: 1, equities: {} };
+
+        this.emit('allInRunout', { players: live, runItTwice: twice });
+        this.updateRunoutEquities();
+
+        this.schedule('runout', () => this.progressGameState());
+    }
+
+    wantsToRunItTwice(player) {
+        if (player.isHuman) return this.humanRunItTwice;
+        return player.decisionEngine.wantsToRunItTwice();
+    }
+
+    // Each live hand's share of the pot on the given board; the second board
+    // can't use the first board's cards
+    updateRunoutEquities(board = this.communityCards, dead = []) {
+        const { EquityCalculator } = GAME_IMPORTS;
+        const live = this.players.filter(p => !p.folded);
+        const { equities } = EquityCalculator.runoutEquities(live.map(p => p.holeCards), board, {
+            variant: this.variant,
+            dead,
+            seed: this.handSeed
+        });
+
+        this.runout.board = dead.length > 0 ? 2 : 1;
+        this.runout.equities = {};
+        live.forEach((player, i) => {
+            this.runout.equities[player.id] = equities[i];
+        });
+
+        this.emit('runoutEquities', {
+            equities: this.runout.equities,
+            board: this.runout.board,
+            cards: board
+        });
+    }
+
+    // After a street is dealt: the next betting round, or the next card of a runout
+    continueAfterStreet() {
+        if (this.runout) {
+            this.updateRunoutEquities();
+            this.schedule('runout', () => this.progressGameState());
+        } else {
+            this.schedule('nextStreet', () => this.startBettingRound());
+        }
+    }
+
     progressGameState() {
         switch (this.state) {
             case GAME_STATES.PRE_FLOP:
@@ -446,7 +1188,11 @@ class TexasHoldemGame {
                 this.dealRiver();
                 break;
             case GAME_STATES.RIVER:
-                this.showdown();
+                if (this.runout && this.runout.twice && this.secondBoard.length < 5) {
+                    this.dealSecondBoard();
+                } else {
+                    this.showdown();
+                }
                 break;
             case GAME_STATES.SHOWDOWN:
                 this.completeHand();
@@ -459,9 +1205,10 @@ class TexasHoldemGame {
         this.communityCards = this.deck.deal(3);
         this.state = GAME_STATES.FLOP;
 
+        this.recordBoard('flop', this.communityCards);
         this.emit('flopDealt', { cards: this.communityCards });
 
-        setTimeout(() => this.startBettingRound(), 1000);
+        this.continueAfterStreet();
     }
 
     dealTurn() {
@@ -469,9 +1216,10 @@ class TexasHoldemGame {
         this.communityCards.push(...this.deck.deal(1));
         this.state = GAME_STATES.TURN;
 
+        this.recordBoard('turn', [this.communityCards[3]]);
         this.emit('turnDealt', { card: this.communityCards[3] });
 
-        setTimeout(() => this.startBettingRound(), 1000);
+        this.continueAfterStreet();
     }
 
     dealRiver() {
@@ -479,56 +1227,128 @@ class TexasHoldemGame {
         this.communityCards.push(...this.deck.deal(1));
         this.state = GAME_STATES.RIVER;
 
+        this.recordBoard('river', [this.communityCards[4]]);
         this.emit('riverDealt', { card: this.communityCards[4] });
 
-        setTimeout(() => this.startBettingRound(), 1000);
+        this.continueAfterStreet();
+    }
+
+    // Run it twice: once the first board is complete the second one is dealt
+    // from the same deck, a street at a time, after the cards both share
+    dealSecondBoard() {
+        if (this.secondBoard.length === 0) {
+            this.secondBoard = this.communityCards.slice(0, this.runout.sharedCards);
+        }
+        const street = this.secondBoard.length < 3 ? 'flop' : (this.secondBoard.length === 3 ? 'turn' : 'river');
+        this.deck.deal(1); // Burn card
+        const cards = this.deck.deal(street === 'flop' ? 3 : 1);
+        this.secondBoard.push(...cards);
+
+        this.emit('secondBoardDealt', { street, cards, board: this.secondBoard });
+        this.updateRunoutEquities(this.secondBoard, this.communityCards.slice(this.runout.sharedCards));
+
+        this.schedule('runout', () => this.progressGameState());
     }
 
     showdown() {
         this.state = GAME_STATES.SHOWDOWN;
 
-        // Create pots from any remaining current bets before showdown
-        this.potManager.createPots(this.players, this.currentBets);
+        // Collect any remaining current bets before showdown
+        this.potManager.createPots(this.players, this.currentBets, this.state);
+        for (let player of this.players) {
+            this.currentBets[player.id] = 0;
+        }
 
         const activePlayers = this.players.filter(p => !p.folded);
-        const handEvaluations = {};
+        // One set of evaluations per board; a board run twice has two
+        const boards = this.secondBoard.length > 0 ? [this.communityCards, this.secondBoard] : [this.communityCards];
+        const runouts = boards.map(board => this.evaluateBoard(activePlayers, board));
+        const { handEvaluations, lowEvaluations } = runouts[0];
 
-        for (let player of activePlayers) {
-            const allCards = [...player.holeCards, ...this.communityCards];
-            handEvaluations[player.id] = HandEvaluator.evaluateHand(allCards);
-        }
+        this.emit('showdown', { players: activePlayers, handEvaluations, lowEvaluations, runouts });
 
-        this.emit('showdown', { players: activePlayers, handEvaluations });
+        const rake = this.collectRake();
 
         // Distribute pots
-        const results = this.potManager.distributePots(this.players, handEvaluations);
+        const results = runouts.length > 1
+            ? this.potManager.distributeRunouts(this.players, runouts)
+            : this.potManager.distributePots(this.players, handEvaluations, lowEvaluations);
+
+        this.finishHandRecord(results, rake, handEvaluations, lowEvaluations, runouts[1]);
 
         for (let result of results) {
             const player = this.players.find(p => p.id === result.playerId);
             player.win(result.amount);
         }
-
-        this.emit('potsDistributed', { results, handEvaluations });
+        this.potManager.clearPots();
+
+        this.emit('potsDistributed', {
+            results,
+            handEvaluations,
+            lowEvaluations,
+            runouts,
+            streets: this.potManager.getStreetBreakdown(),
+            rake,
+            totalRake: this.totalRake
+        });
 
         this.validateGameState();
 
-        setTimeout(() => this.completeHand(), 3000);
+        this.schedule('afterShowdown', () => this.completeHand());
+    }
+
+    // Every player's high hand on the board, and in hi/lo games their
+    // qualifying low (null if none)
+    evaluateBoard(players, board) {
+        const { HandEvaluator, LowHandEvaluator } = GAME_IMPORTS;
+        const handEvaluations = {};
+        const lowEvaluations = this.variant.splitPot === 'hi-lo' ? {} : null;
+
+        for (let player of players) {
+            handEvaluations[player.id] = HandEvaluator.evaluateForVariant(player.holeCards, board, this.variant);
+            if (lowEvaluations) {
+                lowEvaluations[player.id] = LowHandEvaluator.evaluateForVariant(player.holeCards, board, this.variant);
+            }
+        }
+        return { handEvaluations, lowEvaluations };
     }
 
     handleSinglePlayerWin() {
         const winner = this.players.find(p => !p.folded);
 
-        // Create pots from any remaining current bets
-        this.potManager.createPots(this.players, this.currentBets);
+        // Collect any remaining current bets
+        this.potManager.createPots(this.players, this.currentBets, this.state);
+        for (let player of this.players) {
+            this.currentBets[player.id] = 0;
+        }
+
+        const rake = this.collectRake();
 
         // Get total pot amount
         const pot = this.potManager.getTotalPot();
 
+        // Any bet nobody called goes back before the rest is collected
+        const uncalled = this.potManager.getUncalledBet();
+        const returned = uncalled && uncalled.playerId === winner.id ? uncalled.amount : 0;
+        const results = [{ playerId: winner.id, amount: pot - returned, type: 'win', potIndex: 0 }];
+        if (returned > 0) {
+            results.unshift({ playerId: winner.id, amount: returned, type: 'return', potIndex: null });
+        }
+        this.finishHandRecord(results, rake);
+
         winner.win(pot);
+        this.potManager.clearPots();
+
+        this.emit('singlePlayerWin', { winner, pot, rake, totalRake: this.totalRake });
 
-        this.emit('singlePlayerWin', { winner, pot });
+        this.schedule('afterSinglePlayerWin', () => this.completeHand());
+    }
 
-        setTimeout(() => this.completeHand(), 2000);
+    // Takes this hand's rake from the pots and adds it to the session total
+    collectRake() {
+        const rake = this.potManager.takeRake(this.rake, this.players.length, this.communityCards.length > 0);
+        this.totalRake += rake;
+        return rake;
     }
 
     completeHand() {
@@ -536,7 +1356,264 @@ class TexasHoldemGame {
 
         this.emit('handComplete');
 
-        setTimeout(() => this.startNewHand(), 2000);
+        this.schedule('nextHand', () => this.startNewHand());
+    }
+
+    // ============================================================================
+    // TABLE MANAGEMENT
+    // ============================================================================
+    //
+    // Players keep their seat all session. Chips bought during a hand wait in
+    // pendingBuyIn, and every stack must stay within the buy-in limits. Busted
+    // bots give their seat to the next bot on the roster, or just leave.
+
+    getSeatedPlayers() {
+        return this.seats.filter(Boolean);
+    }
+
+    // Everyone seated with chips who isn't sitting out, in seat order
+    getPlayersToDeal() {
+        return this.getSeatedPlayers().filter(p => p.stack > 0 && !p.sittingOut);
+    }
+
+    getHumanPlayer() {
+        return this.seats.find(p => p && p.isHuman) || null;
+    }
+
+    // The first seat after `seat`, going clockwise, that is dealt into this hand
+    nextSeatDealtIn(seat) {
+        for (let i = 1; i <= this.seats.length; i++) {
+            const next = (seat + i) % this.seats.length;
+            if (this.players.includes(this.seats[next])) return next;
+        }
+        return seat;
+    }
+
+    createBot(config, stack) {
+        const { BotPersonality, BotDecisionEngine } = GAME_IMPORTS;
+        const personality = new BotPersonality(config.personality, config.name);
+        const bot = new Player(this.nextPlayerId++, config.name, stack, false, personality);
+        bot.decisionEngine = new BotDecisionEngine(personality, this.rng);
+        return bot;
+    }
+
+    // Sits a player down with their stack as the buy-in; defaults to the first empty seat
+    seatPlayer(player, seat = this.seats.indexOf(null)) {
+        if (!(seat >= 0 && seat < this.seats.length) || this.seats[seat]) {
+            throw new Error(`Seat ${seat + 1} is not available`);
+        }
+
+        player.seat = seat;
+        player.timeBank = this.table.timeBank;
+        this.seats[seat] = player;
+        this.nextPlayerId = Math.max(this.nextPlayerId, player.id + 1);
+        this.addChips(player.stack);
+
+        this.emit('playerJoined', { player, seat });
+        this.resumeIfWaiting();
+        return player;
+    }
+
+    isInHand(player) {
+        const between = this.state === GAME_STATES.WAITING || this.state === GAME_STATES.HAND_COMPLETE;
+        return !between && this.players.includes(player);
+    }
+
+    // Rebuy after busting or top up a short stack. Chips bought during a hand
+    // the player is in are added when the next hand starts.
+    rebuy(player, amount) {
+        if (this.tournament) {
+            throw new Error('Rebuys are not available in tournaments');
+        }
+        if (!Number.isInteger(amount) || amount <= 0) {
+            throw new Error(`Invalid buy-in amount: ${amount}`);
+        }
+
+        const total = player.stack + player.pendingBuyIn + amount;
+        if (total > this.buyIn.max) {
+            throw new Error(`${player.name} can buy in to at most $${this.buyIn.max} (would have $${total})`);
+        }
+        if (total < this.buyIn.min) {
+            throw new Error(`${player.name} needs at least $${this.buyIn.min} on the table (would have $${total})`);
+        }
+
+        const pending = this.isInHand(player);
+        if (pending) {
+            player.pendingBuyIn += amount;
+        } else {
+            player.stack += amount;
+            this.addChips(amount);
+        }
+
+        this.emit('playerRebuy', { player, amount, pending });
+        this.resumeIfWaiting();
+    }
+
+    // Chips brought to the table (or taken away, when negative) count towards
+    // the total the integrity check expects
+    addChips(amount) {
+        if (amount > 0) this.totalBuyIns += amount;
+        if (amount < 0) this.totalCashOuts -= amount;
+        if (this.expectedChipTotal !== null) {
+            this.expectedChipTotal += amount;
+        }
+    }
+
+    // Takes effect from the next hand; a player in a hand plays it out
+    sitOut(player) {
+        if (player.sittingOut) return;
+        player.sittingOut = true;
+        this.emit('playerSatOut', { player });
+    }
+
+    sitIn(player) {
+        if (!player.sittingOut) return;
+        if (player.stack + player.pendingBuyIn === 0) {
+            throw new Error(`${player.name} needs to rebuy before sitting in`);
+        }
+        player.sittingOut = false;
+        this.emit('playerSatIn', { player, owesBigBlind: player.missedBigBlind });
+        this.resumeIfWaiting();
+    }
+
+    // Cashes out now, or after the hand when the player is still in it
+    leaveTable(player) {
+        if (this.isInHand(player)) {
+            player.leaving = true;
+        } else {
+            this.removePlayer(player);
+        }
+    }
+
+    // Empties the seat and cashes the stack out. A bot's seat goes to the next
+    // bot on the roster; the bot that left joins the back of the queue.
+    removePlayer(player) {
+        const seat = player.seat;
+        const cashOut = player.stack;
+        this.seats[seat] = null;
+        this.addChips(-cashOut);
+        player.leaving = false;
+
+        this.emit('playerLeft', { player, seat, cashOut });
+
+        if (!player.isHuman && !this.tournament && this.roster && this.roster.length > 0) {
+            this.roster.push({ name: player.name, personality: player.personality.type });
+            this.seatPlayer(this.createBot(this.roster.shift(), this.buyIn.max), seat);
+        }
+    }
+
+    // Between cash-game hands: adds pending buy-ins, lets leavers and busted
+    // bots go, and sits out a human who has run out of chips
+    updateSeats() {
+        for (let player of this.getSeatedPlayers()) {
+            if (player.pendingBuyIn > 0) {
+                player.stack += player.pendingBuyIn;
+                this.addChips(player.pendingBuyIn);
+                player.pendingBuyIn = 0;
+            }
+
+            if (player.leaving || (player.stack === 0 && !player.isHuman)) {
+                this.removePlayer(player);
+            } else if (player.stack === 0) {
+                this.sitOut(player);
+            }
+        }
+    }
+
+    // A hand that couldn't be dealt for lack of players starts once enough sit in
+    resumeIfWaiting() {
+        if (this.waitingForPlayers && this.getPlayersToDeal().length >= 2) {
+            this.waitingForPlayers = false;
+            this.schedule('nextHand', () => this.startNewHand());
+        }
+    }
+
+    // Anyone sitting out between the button and the big blind has been
+    // skipped by the blinds and owes a big blind when they come back
+    markMissedBlinds(bbPlayer) {
+        for (let seat = (this.buttonSeat + 1) % this.seats.length; seat !== bbPlayer.seat; seat = (seat + 1) % this.seats.length) {
+            const player = this.seats[seat];
+            if (player && player.sittingOut) {
+                player.missedBigBlind = true;
+            }
+        }
+    }
+
+    // Post when returning: a player back from sitting out posts a live big
+    // blind before the cards are dealt, unless they are in the blinds anyway
+    postMissedBlinds(sbPlayer, bbPlayer) {
+        for (let player of this.players) {
+            if (!player.missedBigBlind) continue;
+            player.missedBigBlind = false;
+            if (player === sbPlayer || player === bbPlayer) continue;
+
+            const amount = player.bet(this.bigBlind);
+            this.currentBets[player.id] = amount;
+            this.addAction(player, 'posts big blind', amount, { type: 'big-blind', to: amount });
+        }
+    }
+
+    // ============================================================================
+    // STEPPING
+    // ============================================================================
+
+    schedule(reason, task) {
+        this.scheduler.schedule(() => {
+            if (this.paused) {
+                this.heldSteps.push({ reason, task });
+            } else {
+                task();
+            }
+        }, reason);
+    }
+
+    // Stops the game between steps: anything scheduled (bots, the next
+    // street, the action clock) waits for resume(), and the human can't act
+    pause() {
+        if (this.paused) return;
+        this.paused = true;
+        this.emit('gamePaused', {});
+    }
+
+    // Steps held while paused run straight away, in the order they were due;
+    // a held clock tick waits a full second so no time is lost on resume
+    resume() {
+        if (!this.paused) return;
+        this.paused = false;
+        this.emit('gameResumed', {});
+
+        const held = this.heldSteps;
+        this.heldSteps = [];
+        for (let { reason, task } of held) {
+            this.schedule(reason === 'clockTick' ? reason : 'resume', task);
+        }
+    }
+
+    // Runs the next scheduled step of a headless game; false when nothing is
+    // scheduled (waiting for the human, game over, or a timer-driven game)
+    step() {
+        if (typeof this.scheduler.runNext !== 'function') {
+            throw new Error('step() needs a scheduler with runNext(), e.g. ManualScheduler');
+        }
+        return this.scheduler.runNext();
+    }
+
+    // Steps until `done()` is true or nothing is left to run. Returns done().
+    runUntil(done, maxSteps = 100000) {
+        for (let steps = 0; steps < maxSteps && !done(); steps++) {
+            if (!this.step()) break;
+        }
+        return done();
+    }
+
+    // Plays bots until it is the human's turn; false if the game ended first
+    runUntilHumanAction(maxSteps = 100000) {
+        return this.runUntil(() => this.waitingForHumanAction, maxSteps);
+    }
+
+    // Plays out the current hand, stopping before the next one is dealt
+    runUntilHandComplete(maxSteps = 100000) {
+        return this.runUntil(() => this.state === GAME_STATES.HAND_COMPLETE || this.gameOver, maxSteps);
     }
 
     getCurrentPotSize() {
@@ -547,7 +1624,10 @@ class TexasHoldemGame {
         return total;
     }
 
-    addAction(player, action, amount = null) {
+    // `details` ({ type, chips, to, raiseBy }) adds the action to the structured
+    // hand record; `chips` overrides the chips put in when `amount` is a
+    // raise-to total, and `to` is the player's total bet on this street
+    addAction(player, action, amount = null, details = null) {
         const entry = {
             player: player.name,
             action: action,
@@ -555,77 +1635,246 @@ class TexasHoldemGame {
             timestamp: Date.now()
         };
         this.actionHistory.push(entry);
+
+        if (details && this.handRecord) {
+            this.handRecord.actions.push({
+                street: this.state,
+                playerId: player.id,
+                player: player.name,
+                type: details.type,
+                amount: details.chips !== undefined ? details.chips : (amount || 0),
+                to: details.to !== undefined ? details.to : null,
+                raiseBy: details.raiseBy !== undefined ? details.raiseBy : null,
+                allIn: player.allIn,
+                stackAfter: player.stack,
+                potAfter: this.getCurrentPotSize()
+            });
+        }
+
         this.emit('actionLogged', entry);
     }
 
+    createHandRecord() {
+        return {
+            handNumber: this.handNumber,
+            seed: this.handSeed,
+            sessionSeed: this.sessionSeed,
+            variant: { id: this.variant.id, name: this.variant.name, bettingStructure: this.variant.bettingStructure },
+            table: this.tableName,
+            maxSeats: this.seats.length,
+            startedAt: Date.now(),
+            smallBlind: this.smallBlind,
+            bigBlind: this.bigBlind,
+            ante: this.ante,
+            anteType: this.ante > 0 ? this.anteType : null,
+            straddle: this.straddle,
+            level: this.tournament ? this.tournament.levelNumber : null,
+            // A dead button sits on a seat nobody is dealt in from
+            buttonSeat: this.buttonSeat + 1,
+            seats: this.players.map(p => ({ seat: p.seat + 1, playerId: p.id, name: p.name, stack: p.stack, isHuman: p.isHuman })),
+            holeCards: {},
+            actions: [],
+            board: [],
+            boardByStreet: {},
+            // Run it twice: the whole second board and its showdown
+            secondBoard: null,
+            secondShowdown: null,
+            showdown: [],
+            results: [],
+            uncalledBet: null,
+            pots: [],
+            totalPot: 0,
+            rake: 0
+        };
+    }
+
+    recordBoard(street, cards) {
+        if (this.handRecord) {
+            this.handRecord.boardByStreet[street] = cards.map(c => c.toShortString());
+        }
+    }
+
+    // Completes the hand record once the pots have been decided (before they are
+    // paid out) and adds it to the session's hand records
+    finishHandRecord(results, rake, handEvaluations = null, lowEvaluations = null, secondRunout = null) {
+        const record = this.handRecord;
+        if (!record) return;
+
+        record.board = this.communityCards.map(c => c.toShortString());
+        record.uncalledBet = this.potManager.getUncalledBet();
+        record.pots = this.potManager.pots.map(pot => ({ amount: pot.amount, eligiblePlayers: [...pot.eligiblePlayers] }));
+        record.rake = rake;
+        record.totalPot = this.potManager.getTotalPot() + rake - (record.uncalledBet ? record.uncalledBet.amount : 0);
+        // `runout` is the board (0 or 1) a share was won on when the board was run twice
+        record.results = results.map(r => ({
+            playerId: r.playerId,
+            amount: r.amount,
+            type: r.type,
+            potIndex: r.potIndex,
+            runout: r.runout !== undefined ? r.runout : null
+        }));
+
+        if (handEvaluations) {
+            record.showdown = this.describeShowdown(handEvaluations, lowEvaluations);
+        }
+        if (secondRunout) {
+            record.secondBoard = this.secondBoard.map(c => c.toShortString());
+            record.secondShowdown = this.describeShowdown(secondRunout.handEvaluations, secondRunout.lowEvaluations);
+        }
+
+        this.handRecords.push(record);
+    }
+
+    describeShowdown(handEvaluations, lowEvaluations) {
+        const { HandEvaluator, LowHandEvaluator } = GAME_IMPORTS;
+        return Object.keys(handEvaluations).map(playerId => {
+            const hand = handEvaluations[playerId];
+            const low = lowEvaluations ? lowEvaluations[playerId] : null;
+            return {
+                playerId: Number(playerId),
+                cards: this.handRecord.holeCards[playerId],
+                description: HandEvaluator.getHandDescription(hand),
+                lowDescription: lowEvaluations ? LowHandEvaluator.getLowDescription(low) : null,
+                evaluation: { name: hand.name, score: hand.score, cards: hand.cards.map(c => c.toShortString()) },
+                lowEvaluation: low ? { name: low.name, score: low.score, cards: low.cards.map(c => c.toShortString()) } : null
+            };
+        });
+    }
+
     emit(event, data) {
         this.eventCallback(event, data);
     }
 
+    // ============================================================================
+    // ACTION CLOCK
+    // ============================================================================
+    //
+    // The human has actionTime seconds for each decision, then their time
+    // bank, which is not refilled; with both used up they time out, checking
+    // if they can and folding otherwise. The clock ticks once a second through
+    // the scheduler, so it stops with pause() and headless games run it down
+    // with step().
+
+    startActionClock(player) {
+        if (this.actionTime === 0) return;
+
+        this.actionClock = { player, remaining: this.actionTime, usingTimeBank: false };
+        this.emitActionClock();
+        this.scheduleClockTick(this.actionClock);
+    }
+
+    scheduleClockTick(clock) {
+        this.schedule('clockTick', () => this.tickActionClock(clock));
+    }
+
+    // Ticks left over from a decision already made are ignored
+    tickActionClock(clock) {
+        if (clock !== this.actionClock || !this.waitingForHumanAction) return;
+
+        // Held clocks keep ticking without using any time
+        if (this.clockHolds.size === 0) {
+            const player = clock.player;
+            if (clock.remaining > 0) {
+                clock.remaining--;
+            } else {
+                player.timeBank--;
+            }
+
+            if (clock.remaining === 0 && player.timeBank === 0) {
+                this.timeOut(player);
+                return;
+            }
+            if (clock.remaining === 0 && !clock.usingTimeBank) {
+                clock.usingTimeBank = true;
+                this.emit('timeBankStarted', { player, timeBank: player.timeBank });
+            }
+            this.emitActionClock();
+        }
+        this.scheduleClockTick(clock);
+    }
+
+    emitActionClock() {
+        const { player, remaining, usingTimeBank } = this.actionClock;
+        this.emit('actionClock', { player, remaining, timeBank: player.timeBank, usingTimeBank });
+    }
+
+    // The clock keeps its time while any hold is on, e.g. pauseClock('result')
+    // while the hand result is shown
+    pauseClock(reason) {
+        this.clockHolds.add(reason);
+    }
+
+    resumeClock(reason) {
+        this.clockHolds.delete(reason);
+    }
+
+    // Checks when that's free, otherwise folds; the hand record marks the
+    // action as timed out
+    timeOut(player) {
+        const action = this.getLegalActions(player).callAmount === 0 ? PLAYER_ACTIONS.CHECK : PLAYER_ACTIONS.FOLD;
+        const record = this.handRecord;
+        const recorded = record.actions.length;
+
+        this.actionClock = null;
+        this.waitingForHumanAction = false;
+        this.addAction(player, 'times out');
+        this.emit('actionTimeout', { player, action });
+        this.processPlayerAction(player, action);
+        record.actions[recorded].timedOut = true;
+    }
+
     // Human player actions
-    humanFold() {
-        if (!this.waitingForHumanAction) return;
-        const human = this.players[0];
+    // Human actions are ignored unless it's the human's turn and they are
+    // allowed; sizes go through normalizeAction like everyone else's
+    humanAction(action, amount = 0) {
+        if (!this.waitingForHumanAction || this.paused) return false;
+        const human = this.getHumanPlayer();
+        const legal = this.getLegalActions(human);
+        const raising = action === PLAYER_ACTIONS.BET || action === PLAYER_ACTIONS.RAISE;
+
+        if (action === PLAYER_ACTIONS.CHECK && legal.callAmount > 0) return false; // Can't check if there's a bet
+        if (raising && legal.maxAmount === null) return false;
+        if (action === PLAYER_ACTIONS.ALL_IN && !legal.actions.includes(action) && legal.maxAmount === null) return false;
+
         this.waitingForHumanAction = false;
-        this.processPlayerAction(human, PLAYER_ACTIONS.FOLD);
+        this.actionClock = null;
+        this.processPlayerAction(human, action, amount);
+        return true;
+    }
+
+    humanFold() {
+        return this.humanAction(PLAYER_ACTIONS.FOLD);
     }
 
     humanCheck() {
-        if (!this.waitingForHumanAction) return;
-        const human = this.players[0];
-        const callAmount = this.currentBet - this.currentBets[human.id];
-        if (callAmount > 0) return; // Can't check if there's a bet
-        this.waitingForHumanAction = false;
-        this.processPlayerAction(human, PLAYER_ACTIONS.CHECK);
+        return this.humanAction(PLAYER_ACTIONS.CHECK);
     }
 
+    // Calling for the whole stack goes all-in
     humanCall() {
-        if (!this.waitingForHumanAction) return;
-        const human = this.players[0];
-        const callAmount = this.currentBet - this.currentBets[human.id];
-        if (callAmount >= human.stack) {
-            this.humanAllIn();
-            return;
-        }
-        this.waitingForHumanAction = false;
-        this.processPlayerAction(human, PLAYER_ACTIONS.CALL, callAmount);
+        return this.humanAction(PLAYER_ACTIONS.CALL);
     }
 
+    // `amount` is the total to bet or raise to this street
     humanBet(amount) {
-        if (!this.waitingForHumanAction) return;
-        const human = this.players[0];
-        if (amount >= human.stack) {
-            this.humanAllIn();
-            return;
-        }
-        this.waitingForHumanAction = false;
-        this.processPlayerAction(human, PLAYER_ACTIONS.BET, amount);
+        return this.humanAction(PLAYER_ACTIONS.BET, amount);
     }
 
     humanRaise(amount) {
-        if (!this.waitingForHumanAction) return;
-        const human = this.players[0];
-        if (amount >= human.stack) {
-            this.humanAllIn();
-            return;
-        }
-        this.waitingForHumanAction = false;
-        this.processPlayerAction(human, PLAYER_ACTIONS.RAISE, amount);
+        return this.humanAction(PLAYER_ACTIONS.RAISE, amount);
     }
 
+    // Pot-limit games raise the pot instead
     humanAllIn() {
-        if (!this.waitingForHumanAction) return;
-        const human = this.players[0];
-        this.waitingForHumanAction = false;
-        this.processPlayerAction(human, PLAYER_ACTIONS.ALL_IN, human.stack);
+        return this.humanAction(PLAYER_ACTIONS.ALL_IN);
     }
 
     validateGameState() {
         // 1. Verify total chips in play
         let currentTotal = 0;
 
-        // Count chips in stacks
-        for (let player of this.players) {
+        // Count chips in stacks, including players sitting out this hand
+        for (let player of this.getSeatedPlayers()) {
             currentTotal += player.stack;
         }
 
@@ -636,10 +1885,11 @@ class TexasHoldemGame {
         // Count chips in pots
         currentTotal += this.potManager.getTotalPot();
 
-        // Check if total matches starting total (6 players * 1000 = 6000)
-        // Note: active implementations might have different starting stacks, 
-        // so we ideally should track initial total. For now assuming 6000.
-        const EXPECTED_TOTAL = 6000;
+        // Count chips the house has raked this session
+        currentTotal += this.totalRake;
+
+        // Check if total matches the chips bought in so far, less cash-outs
+        const EXPECTED_TOTAL = this.expectedChipTotal;
 
         if (currentTotal !== EXPECTED_TOTAL) {
             console.error(`INTEGRITY ERROR: Chip count mismatch! Expected ${EXPECTED_TOTAL}, found ${currentTotal}`);
@@ -669,6 +1919,11 @@ if (typeof module !== 'undefined' && module.exports) {
         TexasHoldemGame,
         Player,
         GAME_STATES,
-        PLAYER_ACTIONS
+        PLAYER_ACTIONS,
+        GAME_DELAYS,
+        DEFAULT_TABLE_CONFIG,
+        MAX_TABLE_SEATS,
+        TimerScheduler,
+        ManualScheduler
     };
 }
@@ -0,0 +1,57 @@
+// ============================================================================
+// PUSH/FOLD CHARTS
+// ============================================================================
+//
+// Usage: node push-fold-charts.js [--stack 10] [--ante 0.1]
+//            [--stacks 8,12,30 --payouts 50,30,20] [--iterations 1000]
+//            [--samples 64] [--seed 1] [--format text|json]
+//
+// Prints the small blind's shoving chart and the big blind's calling chart
+// at equilibrium. Stacks and antes are in big blinds; --stacks lists every
+// stack at the table (small blind, big blind, then the rest) and --payouts
+// switches from chips to ICM prize money.
+
+const { PushFoldSolver } = require('./push-fold.js');
+
+function parseArgs(argv) {
+    const options = { format: 'text' };
+    const numbers = { stack: 'stack', ante: 'ante', iterations: 'iterations', samples: 'samples', seed: 'seed' };
+
+    for (let i = 0; i < argv.length; i += 2) {
+        const key = argv[i].replace(/^--/, '');
+        const value = argv[i + 1];
+        if (value === undefined) {
+            throw new Error(`Missing value for --${key}`);
+        }
+
+        if (key in numbers) {
+            options[numbers[key]] = parseFloat(value);
+        } else if (key === 'stacks' || key === 'payouts') {
+            options[key] = value.split(',').map(n => parseFloat(n));
+        } else if (key === 'format') {
+            options.format = value;
+        } else {
+            throw new Error(`Unknown option --${key}`);
+        }
+    }
+    return options;
+}
+
+function main(argv) {
+    let options;
+    let result;
+    try {
+        options = parseArgs(argv);
+        result = new PushFoldSolver(options).solve();
+    } catch (error) {
+        console.log(error.message);
+        console.log('Usage: node push-fold-charts.js [--stack N] [--ante N] [--stacks a,b,...] [--payouts a,b,...] ' +
+            '[--format text|json]');
+        process.exitCode = 1;
+        return;
+    }
+
+    console.log(options.format === 'json' ? JSON.stringify(result, null, 2) : PushFoldSolver.format(result));
+}
+
+main(process.argv.slice(2));
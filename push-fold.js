@@ -0,0 +1,340 @@
+// ============================================================================
+// PUSH/FOLD EQUILIBRIUM
+// ============================================================================
+//
+// Solves the short-stack game where the small blind either moves all-in or
+// folds, and the big blind either calls or folds, once everyone else has
+// folded. Both strategies run over the 169 starting-hand classes and are
+// iterated to an equilibrium with fictitious play: each round every hand
+// plays its best response to the opponent's average strategy so far.
+//
+// Stacks are in big blinds. With `payouts` the players maximise ICM prize
+// money instead of chips; `stacks` then lists every stack at the table,
+// small blind first and big blind second, so the players sitting out of the
+// hand still count for ICM (and each of them pays the ante).
+//
+// Charts are 13x13 grids in the usual layout: pairs on the diagonal, suited
+// hands above it and offsuit hands below, aces in the top-left corner.
+
+// In the browser these are loaded by earlier <script> tags
+const PUSH_FOLD_IMPORTS = typeof module !== 'undefined' && module.exports
+    ? { ...require('./game-engine.js'), ...require('./hand-range.js'), ...require('./icm.js') }
+    : { HandEvaluator, SeededRandom, HandRange, RANGE_RANKS, ICMCalculator };
+
+class PushFoldSolver {
+    //   new PushFoldSolver({ stack: 10, ante: 0.1 }).solve()
+    //   new PushFoldSolver({ stacks: [8, 12, 30], payouts: [50, 30, 20] }).solve()
+    constructor(options = {}) {
+        this.stacks = options.stacks ? [...options.stacks] : [options.stack || 10, options.stack || 10];
+        this.ante = options.ante || 0;
+        this.payouts = options.payouts || null;
+        this.iterations = options.iterations || 1000;
+        this.samples = options.samples || PushFoldSolver.DEFAULT_SAMPLES;
+        this.seed = options.seed !== undefined ? options.seed : 1;
+
+        if (this.stacks.length < 2 || this.stacks.length > 10) {
+            throw new Error(`Push/fold needs between 2 and 10 stacks, got ${this.stacks.length}`);
+        }
+        if (this.stacks.slice(0, 2).some(stack => !(stack > this.ante + 1))) {
+            throw new Error('Both blinds need more chips than the big blind and ante');
+        }
+        if (this.payouts && this.payouts.length > this.stacks.length) {
+            throw new Error('ICM payouts need a stack for every paid place');
+        }
+    }
+
+    // Every class in chart order: { name, row, col, combos: [[code, code], ...] }
+    static handClasses() {
+        const { RANGE_RANKS } = PUSH_FOLD_IMPORTS;
+        if (this.classes) return this.classes;
+
+        this.classes = [];
+        for (let row = 0; row < 13; row++) {
+            for (let col = 0; col < 13; col++) {
+                const high = Math.min(row, col);
+                const low = Math.max(row, col);
+                const suffix = row === col ? '' : row < col ? 's' : 'o';
+                // Engine card codes: (value - 2) * 4 + suit, and RANGE_RANKS starts at the ace
+                const highCode = (12 - high) * 4;
+                const lowCode = (12 - low) * 4;
+                const combos = [];
+
+                for (let i = 0; i < 4; i++) {
+                    for (let j = 0; j < 4; j++) {
+                        if (row === col && j <= i) continue;
+                        if (suffix === 's' && i !== j) continue;
+                        if (suffix === 'o' && i === j) continue;
+                        combos.push([highCode + i, lowCode + j]);
+                    }
+                }
+
+                this.classes.push({ name: RANGE_RANKS[high] + RANGE_RANKS[low] + suffix, row, col, combos });
+            }
+        }
+        return this.classes;
+    }
+
+    // All-in equity of every class against every other, sampled once per
+    // (samples, seed) and cached: equity[a * 169 + b] is a's share of the pot
+    // against b, and weight[a * 169 + b] the number of combo pairs that don't
+    // share a card, i.e. how likely b is once a's cards are known
+    static matchups(samples = PushFoldSolver.DEFAULT_SAMPLES, seed = 1) {
+        const { HandEvaluator, SeededRandom } = PUSH_FOLD_IMPORTS;
+        const key = `${samples}:${seed}`;
+        this.matchupCache = this.matchupCache || new Map();
+        if (this.matchupCache.has(key)) return this.matchupCache.get(key);
+
+        const classes = this.handClasses();
+        const count = classes.length;
+        const equity = new Float32Array(count * count);
+        const weight = new Uint16Array(count * count);
+        const rng = new SeededRandom(seed);
+        const used = new Uint8Array(52);
+        const hero = new Array(7).fill(0);
+        const villain = new Array(7).fill(0);
+
+        for (let a = 0; a < count; a++) {
+            for (let b = a; b < count; b++) {
+                const pairs = [];
+                for (let first of classes[a].combos) {
+                    for (let second of classes[b].combos) {
+                        if (first[0] !== second[0] && first[0] !== second[1] &&
+                            first[1] !== second[0] && first[1] !== second[1]) {
+                            pairs.push([first, second]);
+                        }
+                    }
+                }
+                weight[a * count + b] = weight[b * count + a] = pairs.length;
+
+                if (a === b) {
+                    equity[a * count + a] = 0.5;
+                    continue;
+                }
+
+                // Combo pairs take turns so only the boards are random
+                let share = 0;
+                for (let t = 0; t < samples; t++) {
+                    const [first, second] = pairs[t % pairs.length];
+                    used.fill(0);
+                    used[first[0]] = used[first[1]] = used[second[0]] = used[second[1]] = 1;
+                    hero[0] = first[0];
+                    hero[1] = first[1];
+                    villain[0] = second[0];
+                    villain[1] = second[1];
+
+                    for (let k = 2; k < 7; k++) {
+                        let code;
+                        do {
+                            code = rng.nextInt(52);
+                        } while (used[code]);
+                        used[code] = 1;
+                        hero[k] = villain[k] = code;
+                    }
+
+                    const heroScore = HandEvaluator.scoreCodes(hero, 7);
+                    const villainScore = HandEvaluator.scoreCodes(villain, 7);
+                    share += heroScore > villainScore ? 1 : heroScore === villainScore ? 0.5 : 0;
+                }
+
+                equity[a * count + b] = share / samples;
+                equity[b * count + a] = 1 - share / samples;
+            }
+        }
+
+        const result = { equity, weight };
+        this.matchupCache.set(key, result);
+        return result;
+    }
+
+    // Stacks after the hand for each way it can end
+    outcomes() {
+        const stacks = this.stacks.map(stack => stack - this.ante);
+        const deadMoney = this.ante * stacks.length;
+        const allIn = Math.min(stacks[0], stacks[1]);
+        const adjusted = (sb, bb) => stacks.map((stack, i) => stack + (i === 0 ? sb : i === 1 ? bb : 0));
+
+        return {
+            fold: adjusted(-0.5, 0.5 + deadMoney),
+            steal: adjusted(1 + deadMoney, -1),
+            smallBlindWins: adjusted(allIn + deadMoney, -allIn),
+            bigBlindWins: adjusted(-allIn, allIn + deadMoney)
+        };
+    }
+
+    // Chips, or prize money when solving for ICM
+    value(stacks, player) {
+        const { ICMCalculator } = PUSH_FOLD_IMPORTS;
+        return this.payouts ? ICMCalculator.equities(stacks, this.payouts)[player] : stacks[player];
+    }
+
+    solve() {
+        const classes = PushFoldSolver.handClasses();
+        const count = classes.length;
+        const { equity, weight } = PushFoldSolver.matchups(this.samples, this.seed);
+        const outcomes = this.outcomes();
+
+        const shover = {
+            fold: this.value(outcomes.fold, 0),
+            steal: this.value(outcomes.steal, 0),
+            win: this.value(outcomes.smallBlindWins, 0),
+            lose: this.value(outcomes.bigBlindWins, 0)
+        };
+        const caller = {
+            fold: this.value(outcomes.steal, 1),
+            win: this.value(outcomes.bigBlindWins, 1),
+            lose: this.value(outcomes.smallBlindWins, 1)
+        };
+
+        // Average strategies: how often each class shoves / calls
+        const shove = new Float64Array(count).fill(0.5);
+        const call = new Float64Array(count).fill(0.5);
+        const shoveEV = new Float64Array(count);
+        const callEV = new Float64Array(count);
+
+        for (let t = 1; t <= this.iterations; t++) {
+            // Small blind against the average calling range
+            const bestShove = new Uint8Array(count);
+            for (let a = 0; a < count; a++) {
+                let total = 0;
+                let ev = 0;
+                for (let b = 0; b < count; b++) {
+                    const w = weight[a * count + b];
+                    if (w === 0) continue;
+                    const e = equity[a * count + b];
+                    ev += w * ((1 - call[b]) * shover.steal + call[b] * (e * shover.win + (1 - e) * shover.lose));
+                    total += w;
+                }
+                shoveEV[a] = ev / total;
+                bestShove[a] = shoveEV[a] > shover.fold ? 1 : 0;
+            }
+
+            // Big blind against the average shoving range
+            const bestCall = new Uint8Array(count);
+            for (let b = 0; b < count; b++) {
+                let total = 0;
+                let ev = 0;
+                for (let a = 0; a < count; a++) {
+                    const w = weight[b * count + a] * shove[a];
+                    if (w === 0) continue;
+                    const e = equity[b * count + a];
+                    ev += w * (e * caller.win + (1 - e) * caller.lose);
+                    total += w;
+                }
+                callEV[b] = total > 0 ? ev / total : caller.fold;
+                bestCall[b] = callEV[b] > caller.fold ? 1 : 0;
+            }
+
+            for (let i = 0; i < count; i++) {
+                shove[i] += (bestShove[i] - shove[i]) / (t + 1);
+                call[i] += (bestCall[i] - call[i]) / (t + 1);
+            }
+        }
+
+        const describe = (frequencies, evs, foldValue) => classes.map((handClass, i) => ({
+            name: handClass.name,
+            row: handClass.row,
+            col: handClass.col,
+            combos: handClass.combos.length,
+            frequency: frequencies[i],
+            // What the hand gains over folding, in chips or prize money
+            edge: evs[i] - foldValue
+        }));
+
+        return PushFoldSolver.summarize({
+            stacks: [...this.stacks],
+            ante: this.ante,
+            payouts: this.payouts,
+            iterations: this.iterations,
+            shove: describe(shove, shoveEV, shover.fold),
+            call: describe(call, callEV, caller.fold)
+        });
+    }
+
+    // Adds the share of all hands each chart plays and its range notation;
+    // hands played at least half the time count as in the range
+    static summarize(result) {
+        const { HandRange } = PUSH_FOLD_IMPORTS;
+        for (let side of ['shove', 'call']) {
+            const hands = result[side].filter(hand => hand.frequency >= 0.5);
+            result[`${side}Percent`] = 100 * hands.reduce((sum, hand) => sum + hand.combos, 0) / 1326;
+            result[`${side}Range`] = hands.length ? HandRange.parse(hands.map(hand => hand.name).join(',')).toString() : '';
+        }
+        return result;
+    }
+
+    // The 13x13 grid of a chart, rows of hand entries
+    static toGrid(chart) {
+        const grid = [];
+        for (let row = 0; row < 13; row++) {
+            grid.push(chart.slice(row * 13, row * 13 + 13));
+        }
+        return grid;
+    }
+
+    // Plain-text chart: the class name when it is played, '-' when folded
+    static formatChart(chart) {
+        return this.toGrid(chart)
+            .map(row => row.map(hand => (hand.frequency >= 0.5 ? hand.name : '-').padEnd(4)).join('').trimEnd())
+            .join('\n');
+    }
+
+    static format(result) {
+        const stacks = result.stacks.length === 2 && result.stacks[0] === result.stacks[1]
+            ? `${result.stacks[0]}bb effective`
+            : `stacks ${result.stacks.join('/')}bb`;
+        const extras = [
+            result.ante ? `ante ${result.ante}bb` : null,
+            result.payouts ? `ICM payouts ${result.payouts.join('/')}` : null
+        ].filter(Boolean);
+
+        return [
+            `Push/fold equilibrium, ${[stacks, ...extras].join(', ')}`,
+            '',
+            `Small blind shoves ${result.shovePercent.toFixed(1)}%: ${result.shoveRange}`,
+            this.formatChart(result.shove),
+            '',
+            `Big blind calls ${result.callPercent.toFixed(1)}%: ${result.callRange}`,
+            this.formatChart(result.call)
+        ].join('\n');
+    }
+
+    // Charts for a heads-up chip-EV spot, solved once per stack depth and ante.
+    // Depths round to whole big blinds and antes to a twentieth of one.
+    static charts(stack, ante = 0) {
+        const depth = Math.max(2, Math.round(stack));
+        const roundedAnte = Math.round(ante * 20) / 20;
+        const key = `${depth}:${roundedAnte}`;
+        this.chartCache = this.chartCache || new Map();
+
+        if (!this.chartCache.has(key)) {
+            const result = new PushFoldSolver({ stack: depth, ante: roundedAnte }).solve();
+            const inRange = (chart) => new Set(chart.filter(hand => hand.frequency >= 0.5).map(hand => hand.name));
+            this.chartCache.set(key, { shove: inRange(result.shove), call: inRange(result.call) });
+        }
+        return this.chartCache.get(key);
+    }
+
+    // Chart name of two hole cards, e.g. 'AKs', 'T9o', '77'
+    static classOf(card1, card2) {
+        const { RANGE_RANKS } = PUSH_FOLD_IMPORTS;
+        const ranks = [card1, card2]
+            .map(card => RANGE_RANKS.indexOf(card.rank === '10' ? 'T' : card.rank))
+            .sort((a, b) => a - b);
+        if (ranks[0] === ranks[1]) return RANGE_RANKS[ranks[0]].repeat(2);
+        return RANGE_RANKS[ranks[0]] + RANGE_RANKS[ranks[1]] + (card1.suit === card2.suit ? 's' : 'o');
+    }
+}
+
+// Monte Carlo boards per class matchup; the charts average hundreds of
+// matchups, so the sampling noise mostly cancels out
+PushFoldSolver.DEFAULT_SAMPLES = 64;
+
+// ============================================================================
+// EXPORTS
+// ============================================================================
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        PushFoldSolver
+    };
+}
@@ -0,0 +1,116 @@
+// ============================================================================
+// BOT SIMULATION RUNNER
+// ============================================================================
+//
+// Usage: node simulate-bots.js [--bots tight_aggressive,loose_passive,...]
+//            [--hands 10000] [--tournaments 0] [--seed 1] [--format table|json|csv]
+//            [--stack 1000] [--blinds 5/10] [--rotate 100] [--level-hands 50]
+//            [--variant holdem] [--rake 5] [--rake-cap 30] [--out file]
+//
+// Plays bots against each other without the UI and reports bb/100 (with the
+// standard deviation and a 95% confidence interval), VPIP, PFR, aggression
+// factor and showdown win rate per bot, plus any chip conservation violations.
+// A bot can override its personality's parameters:
+//
+//   --bots tight_aggressive,tight_aggressive:bluffFrequency=0.2,loose_passive
+//
+// Leaving out --bots seats one bot of every personality.
+
+const fs = require('fs');
+const { BotSimulation } = require('./bot-simulation.js');
+
+const FORMATS = ['table', 'json', 'csv'];
+
+// Options that may be 0; every other number has to be at least 1
+const ZERO_ALLOWED = ['hands', 'tournaments', 'seed', 'rake-cap'];
+
+function parseNumber(key, value) {
+    const number = /^\d+$/.test(value) ? Number(value) : NaN;
+    if (!(number >= (ZERO_ALLOWED.includes(key) ? 0 : 1)) || (key === 'seed' && number > 0xFFFFFFFF)) {
+        throw new Error(`--${key} needs a ${ZERO_ALLOWED.includes(key) ? 'whole' : 'positive whole'} number, not "${value}"`);
+    }
+    return number;
+}
+
+function parseArgs(argv) {
+    const options = { format: 'table' };
+    const numbers = { hands: 'hands', tournaments: 'tournaments', seed: 'seed', stack: 'startingStack',
+        rotate: 'rotateEvery', 'level-hands': 'levelHands' };
+
+    for (let i = 0; i < argv.length; i += 2) {
+        const key = argv[i].replace(/^--/, '');
+        const value = argv[i + 1];
+        if (value === undefined) {
+            throw new Error(`Missing value for --${key}`);
+        }
+
+        if (key in numbers) {
+            options[numbers[key]] = parseNumber(key, value);
+        } else if (key === 'bots') {
+            // Commas split bots, except inside one bot's parameter list
+            options.bots = value.split(/,(?![^,:]*=)/);
+        } else if (key === 'blinds') {
+            const blinds = value.split('/');
+            if (blinds.length !== 2) {
+                throw new Error(`--blinds needs small/big, not "${value}"`);
+            }
+            [options.smallBlind, options.bigBlind] = blinds.map(n => parseNumber(key, n));
+        } else if (key === 'rake') {
+            const percentage = Number(value);
+            if (value.trim() === '' || !(percentage > 0)) {
+                throw new Error(`--rake needs a positive percentage, not "${value}"`);
+            }
+            options.rake = { ...options.rake, percentage };
+        } else if (key === 'rake-cap') {
+            options.rake = { ...options.rake, cap: parseNumber(key, value) };
+        } else if (key === 'format') {
+            if (!FORMATS.includes(value)) {
+                throw new Error(`Unknown format "${value}" (expected ${FORMATS.join(', ')})`);
+            }
+            options.format = value;
+        } else if (key === 'variant' || key === 'out') {
+            options[key] = value;
+        } else {
+            throw new Error(`Unknown option --${key}`);
+        }
+    }
+
+    if (options.tournaments > 0 && options.hands === undefined) {
+        options.hands = 0;
+    }
+    if (options.hands === 0 && !options.tournaments) {
+        throw new Error('Nothing to simulate: give --hands or --tournaments a count above 0');
+    }
+    return options;
+}
+
+function main(argv) {
+    let options;
+    let report;
+    try {
+        options = parseArgs(argv);
+        report = new BotSimulation(options).run();
+    } catch (error) {
+        console.log(error.message);
+        console.log('Usage: node simulate-bots.js [--bots type[:param=value,...],...] [--hands N] [--tournaments N] ' +
+            '[--seed N] [--format table|json|csv]');
+        process.exitCode = 1;
+        return;
+    }
+
+    const formats = { table: BotSimulation.toTable, json: BotSimulation.toJson, csv: BotSimulation.toCsv };
+    const output = formats[options.format].call(BotSimulation, report);
+
+    if (options.out) {
+        fs.writeFileSync(options.out, output);
+        console.log(`Wrote ${options.out}`);
+    } else {
+        console.log(output);
+    }
+
+    if (report.chipViolations > 0) {
+        process.exitCode = 1;
+    }
+}
+
+main(process.argv.slice(2));
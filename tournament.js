@@ -0,0 +1,270 @@
+// ============================================================================
+// SIT & GO TOURNAMENTS
+// ============================================================================
+//
+// A Tournament tracks the blind/ante level, finishing places and payouts of a
+// sit-and-go played on a TexasHoldemGame (options.tournament). Structures are
+// plain JSON: levels advance every `levelLength` hands or minutes (`levelBy`),
+// the last level repeats once the schedule runs out, and `payouts` are the
+// percentages of the prize pool (buyIn x entrants) paid to 1st, 2nd, ...
+
+const TOURNAMENT_PRESETS = {
+    turbo: {
+        id: 'turbo',
+        name: 'Turbo',
+        startingStack: 1500,
+        buyIn: 10,
+        levelBy: 'hands',
+        levelLength: 6,
+        payouts: [65, 35],
+        levels: [
+            { smallBlind: 10, bigBlind: 20, ante: 0 },
+            { smallBlind: 20, bigBlind: 40, ante: 0 },
+            { smallBlind: 30, bigBlind: 60, ante: 5 },
+            { smallBlind: 50, bigBlind: 100, ante: 10 },
+            { smallBlind: 75, bigBlind: 150, ante: 15 },
+            { smallBlind: 100, bigBlind: 200, ante: 25 },
+            { smallBlind: 150, bigBlind: 300, ante: 25 },
+            { smallBlind: 200, bigBlind: 400, ante: 50 },
+            { smallBlind: 300, bigBlind: 600, ante: 75 },
+            { smallBlind: 500, bigBlind: 1000, ante: 100 }
+        ]
+    },
+    standard: {
+        id: 'standard',
+        name: 'Standard',
+        startingStack: 1500,
+        buyIn: 10,
+        levelBy: 'hands',
+        levelLength: 10,
+        payouts: [50, 30, 20],
+        levels: [
+            { smallBlind: 10, bigBlind: 20, ante: 0 },
+            { smallBlind: 15, bigBlind: 30, ante: 0 },
+            { smallBlind: 25, bigBlind: 50, ante: 0 },
+            { smallBlind: 50, bigBlind: 100, ante: 0 },
+            { smallBlind: 75, bigBlind: 150, ante: 10 },
+            { smallBlind: 100, bigBlind: 200, ante: 20 },
+            { smallBlind: 150, bigBlind: 300, ante: 25 },
+            { smallBlind: 200, bigBlind: 400, ante: 40 },
+            { smallBlind: 300, bigBlind: 600, ante: 60 },
+            { smallBlind: 400, bigBlind: 800, ante: 80 },
+            { smallBlind: 600, bigBlind: 1200, ante: 100 }
+        ]
+    },
+    deep: {
+        id: 'deep',
+        name: 'Deep Stack',
+        startingStack: 5000,
+        buyIn: 20,
+        levelBy: 'minutes',
+        levelLength: 10,
+        payouts: [50, 30, 20],
+        levels: [
+            { smallBlind: 10, bigBlind: 20, ante: 0 },
+            { smallBlind: 15, bigBlind: 30, ante: 0 },
+            { smallBlind: 25, bigBlind: 50, ante: 0 },
+            { smallBlind: 50, bigBlind: 100, ante: 0 },
+            { smallBlind: 75, bigBlind: 150, ante: 0 },
+            { smallBlind: 100, bigBlind: 200, ante: 25 },
+            { smallBlind: 150, bigBlind: 300, ante: 25 },
+            { smallBlind: 200, bigBlind: 400, ante: 50 },
+            { smallBlind: 300, bigBlind: 600, ante: 75 },
+            { smallBlind: 400, bigBlind: 800, ante: 100 },
+            { smallBlind: 600, bigBlind: 1200, ante: 150 },
+            { smallBlind: 800, bigBlind: 1600, ante: 200 },
+            { smallBlind: 1000, bigBlind: 2000, ante: 250 }
+        ]
+    }
+};
+
+class Tournament {
+    // `structure` is a preset id, a structure object or its JSON text;
+    // options.payouts overrides the structure's payout percentages
+    constructor(structure = 'standard', options = {}) {
+        this.structure = Tournament.resolveStructure(structure);
+        if (options.payouts) {
+            this.structure.payouts = [...options.payouts];
+            Tournament.validateStructure(this.structure);
+        }
+
+        this.started = false;
+        this.complete = false;
+        this.entrants = [];
+        this.levelIndex = 0;
+        this.levelStartedAt = null;
+        this.handsThisLevel = 0;
+        // Finishers from last place up: { playerId, name, place }
+        this.finishers = [];
+    }
+
+    static resolveStructure(structure) {
+        if (typeof structure === 'string') {
+            const preset = TOURNAMENT_PRESETS[structure];
+            if (preset) {
+                structure = preset;
+            } else if (structure.trim().startsWith('{')) {
+                structure = JSON.parse(structure);
+            } else {
+                throw new Error(`Unknown tournament structure: ${structure}`);
+            }
+        }
+
+        // Copy so a game never changes a shared preset
+        const copy = JSON.parse(JSON.stringify(structure));
+        this.validateStructure(copy);
+        return copy;
+    }
+
+    static validateStructure(structure) {
+        if (!Array.isArray(structure.levels) || structure.levels.length === 0) {
+            throw new Error('A tournament structure needs at least one level');
+        }
+        for (let [i, level] of structure.levels.entries()) {
+            if (!(level.smallBlind > 0 && level.bigBlind >= level.smallBlind && (level.ante || 0) >= 0)) {
+                throw new Error(`Tournament level ${i + 1} has invalid blinds or ante`);
+            }
+            level.ante = level.ante || 0;
+        }
+        if (structure.levelBy !== 'hands' && structure.levelBy !== 'minutes') {
+            throw new Error(`Tournament levels advance by 'hands' or 'minutes', not ${structure.levelBy}`);
+        }
+        if (!(structure.levelLength > 0) || !(structure.startingStack > 0)) {
+            throw new Error('A tournament structure needs a positive levelLength and startingStack');
+        }
+
+        const payouts = structure.payouts || [100];
+        const total = payouts.reduce((sum, percent) => sum + percent, 0);
+        if (payouts.some(percent => !(percent > 0)) || Math.abs(total - 100) > 0.01) {
+            throw new Error(`Tournament payouts must be positive and add up to 100%, got ${total}%`);
+        }
+        structure.payouts = payouts;
+        structure.buyIn = structure.buyIn || 0;
+    }
+
+    get startingStack() {
+        return this.structure.startingStack;
+    }
+
+    get levelNumber() {
+        return this.levelIndex + 1;
+    }
+
+    get currentLevel() {
+        const levels = this.structure.levels;
+        return levels[Math.min(this.levelIndex, levels.length - 1)];
+    }
+
+    get prizePool() {
+        return this.structure.buyIn * this.entrants.length;
+    }
+
+    start(players, now = Date.now()) {
+        this.started = true;
+        this.entrants = players.map(p => ({ playerId: p.id, name: p.name }));
+        this.levelIndex = 0;
+        this.levelStartedAt = now;
+        this.handsThisLevel = 0;
+    }
+
+    // Called as each hand is dealt; returns true when a new level starts with it
+    nextHand(now = Date.now()) {
+        const length = this.structure.levelLength;
+        let changed = false;
+
+        if (this.structure.levelBy === 'hands') {
+            if (this.handsThisLevel >= length) {
+                this.levelIndex++;
+                this.handsThisLevel = 0;
+                this.levelStartedAt = now;
+                changed = true;
+            }
+        } else {
+            while (now - this.levelStartedAt >= length * 60000) {
+                this.levelIndex++;
+                this.levelStartedAt += length * 60000;
+                this.handsThisLevel = 0;
+                changed = true;
+            }
+        }
+
+        this.handsThisLevel++;
+        return changed;
+    }
+
+    // What the level clock shows: the level, and hands or milliseconds left in it
+    getClock(now = Date.now()) {
+        const length = this.structure.levelLength;
+        const next = this.structure.levels[this.levelIndex + 1] || null;
+        const clock = { level: this.levelNumber, ...this.currentLevel, next, levelBy: this.structure.levelBy };
+
+        if (this.structure.levelBy === 'hands') {
+            clock.handsLeft = Math.max(0, length - this.handsThisLevel);
+        } else {
+            clock.msLeft = Math.max(0, this.levelStartedAt + length * 60000 - now);
+        }
+        return clock;
+    }
+
+    // Places everyone who lost their last chip in the same hand; a bigger stack
+    // at the start of that hand finishes higher. Returns the new finishers.
+    recordEliminations(players, startingStacks = {}) {
+        const busted = players.filter(p => p.stack === 0 && !this.finishers.some(f => f.playerId === p.id))
+            .sort((a, b) => (startingStacks[a.id] || 0) - (startingStacks[b.id] || 0));
+
+        const placed = [];
+        for (let player of busted) {
+            const finisher = { playerId: player.id, name: player.name, place: this.entrants.length - this.finishers.length };
+            this.finishers.push(finisher);
+            placed.push(finisher);
+        }
+        return placed;
+    }
+
+    finish(winner) {
+        if (winner && !this.finishers.some(f => f.playerId === winner.id)) {
+            this.finishers.push({ playerId: winner.id, name: winner.name, place: 1 });
+        }
+        this.complete = true;
+    }
+
+    // Prize per place. Never pays every entrant: with fewer players than paid
+    // places the remaining percentages are scaled back up to 100%.
+    getPayouts() {
+        const paidPlaces = Math.max(1, Math.min(this.structure.payouts.length, this.entrants.length - 1));
+        const percentages = this.structure.payouts.slice(0, paidPlaces);
+        const total = percentages.reduce((sum, percent) => sum + percent, 0);
+
+        const payouts = percentages.map((percent, i) => ({
+            place: i + 1,
+            percent: 100 * percent / total,
+            amount: Math.floor(this.prizePool * percent / total)
+        }));
+        // Rounding leftovers go to the winner
+        const paid = payouts.reduce((sum, payout) => sum + payout.amount, 0);
+        payouts[0].amount += this.prizePool - paid;
+        return payouts;
+    }
+
+    // Final standings, 1st place first
+    getResults() {
+        const payouts = this.getPayouts();
+        return [...this.finishers]
+            .sort((a, b) => a.place - b.place)
+            .map(finisher => {
+                const payout = payouts.find(p => p.place === finisher.place);
+                return { ...finisher, payout: payout ? payout.amount : 0 };
+            });
+    }
+}
+
+// ============================================================================
+// EXPORTS
+// ============================================================================
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        Tournament,
+        TOURNAMENT_PRESETS
+    };
+}
@@ -8,6 +8,13 @@ class UIController {
         this.elements = this.cacheElements();
         this.setupEventListeners();
         this.currentBetAmount = 50;
+        this.replay = null;
+        this.replayStep = 0;
+
+        // Time-based tournament levels count down between hands too
+        if (game.tournament && game.tournament.structure.levelBy === 'minutes') {
+            setInterval(() => this.updateTournamentClock(), 1000);
+        }
     }
 
     cacheElements() {
@@ -16,20 +23,26 @@ class UIController {
             communityCards: Array.from({ length: 5 }, (_, i) =>
                 document.getElementById(`community-card-${i}`)
             ),
+            // The second board when an all-in is run twice
+            pokerTable: document.querySelector('.poker-table'),
+            secondBoard: Array.from({ length: 5 }, (_, i) =>
+                document.getElementById(`second-board-card-${i}`)
+            ),
 
             // Pot
             potAmount: document.getElementById('pot-amount'),
+            sidePots: document.getElementById('side-pots'),
+
+            // Tournament
+            tournamentClock: document.getElementById('tournament-clock'),
+            btnIcm: document.getElementById('btn-icm'),
+            icmPanel: document.getElementById('icm-panel'),
+            icmPayouts: document.getElementById('icm-payouts'),
+            icmTable: document.getElementById('icm-table'),
+            icmClose: document.getElementById('icm-close'),
 
             // Player seats
-            seats: Array.from({ length: 6 }, (_, i) => ({
-                container: document.getElementById(`seat-${i}`),
-                name: document.querySelector(`#seat-${i} .player-name`),
-                stack: document.querySelector(`#seat-${i} .player-stack`),
-                cards: document.querySelectorAll(`#seat-${i} .player-cards .card-slot`),
-                bet: document.querySelector(`#seat-${i} .player-bet`),
-                status: document.querySelector(`#seat-${i} .player-status`),
-                dealerButton: document.querySelector(`#seat-${i} .dealer-button`)
-            })),
+            seats: this.createSeats(this.game.seats.length),
 
             // Action buttons
             btnFold: document.getElementById('btn-fold'),
@@ -43,6 +56,14 @@ class UIController {
             betSlider: document.getElementById('bet-slider'),
             betAmountValue: document.getElementById('bet-amount-value'),
 
+            // Cash game seat controls
+            tableControls: document.getElementById('table-controls'),
+            btnSitOut: document.getElementById('btn-sit-out'),
+            rebuyAmount: document.getElementById('rebuy-amount'),
+            btnRebuy: document.getElementById('btn-rebuy'),
+            btnStraddle: document.getElementById('btn-straddle'),
+            btnRunItTwice: document.getElementById('btn-run-it-twice'),
+
             // Action log
             logContent: document.getElementById('log-content'),
 
@@ -50,10 +71,76 @@ class UIController {
             resultModal: document.getElementById('result-modal'),
             resultTitle: document.getElementById('result-title'),
             resultDetails: document.getElementById('result-details'),
-            resultClose: document.getElementById('result-close')
+            resultClose: document.getElementById('result-close'),
+            resultExport: document.getElementById('result-export'),
+
+            resultReplay: document.getElementById('result-replay'),
+
+            // Pausing the game
+            btnPause: document.getElementById('btn-pause'),
+
+            // Hand history export
+            btnExportSession: document.getElementById('btn-export-session'),
+            btnExportJson: document.getElementById('btn-export-json'),
+
+            // Hand replayer
+            btnReplay: document.getElementById('btn-replay'),
+            replayPanel: document.getElementById('replay-panel'),
+            replayHand: document.getElementById('replay-hand'),
+            replayStep: document.getElementById('replay-step'),
+            replayFirst: document.getElementById('replay-first'),
+            replayPrev: document.getElementById('replay-prev'),
+            replayNext: document.getElementById('replay-next'),
+            replayLast: document.getElementById('replay-last'),
+            replayClose: document.getElementById('replay-close')
         };
     }
 
+    // Builds one seat per table seat around an ellipse, clockwise from the
+    // human's seat at the bottom centre
+    createSeats(count) {
+        const container = document.getElementById('player-seats');
+        container.innerHTML = '';
+        container.classList.toggle('crowded', count > 6);
+
+        return Array.from({ length: count }, (_, i) => {
+            const angle = Math.PI / 2 + 2 * Math.PI * i / count;
+            const seat = document.createElement('div');
+            seat.id = `seat-${i}`;
+            seat.className = 'player-seat empty';
+            seat.dataset.seat = i;
+            seat.style.left = `${(50 + 42 * Math.cos(angle)).toFixed(2)}%`;
+            seat.style.top = `${(50 + 38 * Math.sin(angle)).toFixed(2)}%`;
+            seat.innerHTML = `
+                <div class="player-info">
+                    <div class="player-name"></div>
+                    <div class="player-stack"></div>
+                </div>
+                <div class="player-cards">
+                    <div class="card-slot"></div>
+                    <div class="card-slot"></div>
+                </div>
+                <div class="player-bet">$0</div>
+                <div class="player-status"></div>
+                <div class="player-equity"></div>
+                <div class="player-clock"></div>
+                <div class="dealer-button">D</div>`;
+            container.appendChild(seat);
+
+            return {
+                container: seat,
+                name: seat.querySelector('.player-name'),
+                stack: seat.querySelector('.player-stack'),
+                cards: seat.querySelectorAll('.player-cards .card-slot'),
+                bet: seat.querySelector('.player-bet'),
+                status: seat.querySelector('.player-status'),
+                equity: seat.querySelector('.player-equity'),
+                clock: seat.querySelector('.player-clock'),
+                dealerButton: seat.querySelector('.dealer-button')
+            };
+        });
+    }
+
     setupEventListeners() {
         // Action buttons
         this.elements.btnFold.addEventListener('click', () => this.game.humanFold());
@@ -69,13 +156,62 @@ class UIController {
             this.elements.betAmountValue.textContent = this.currentBetAmount;
         });
 
+        // Sit out / sit in and rebuys take effect between hands
+        this.elements.btnSitOut.addEventListener('click', () => this.toggleSitOut());
+        this.elements.btnRebuy.addEventListener('click', () => this.rebuy());
+        this.elements.btnStraddle.addEventListener('click', () => this.toggleStraddle());
+        this.elements.btnRunItTwice.addEventListener('click', () => this.toggleRunItTwice());
+
         // Modal close
-        this.elements.resultClose.addEventListener('click', () => {
-            this.elements.resultModal.classList.remove('visible');
+        this.elements.resultClose.addEventListener('click', () => this.hideResultModal());
+
+        this.elements.btnPause.addEventListener('click', () => this.togglePause());
+
+        // Hand history downloads: the hand just finished, or the whole session
+        this.elements.resultExport.addEventListener('click', () => {
+            const records = this.game.handRecords;
+            if (records.length > 0) {
+                HandHistoryExporter.download([records[records.length - 1]]);
+            }
+        });
+        this.elements.btnExportSession.addEventListener('click', () => {
+            if (this.game.handRecords.length > 0) {
+                HandHistoryExporter.download(this.game.handRecords);
+            }
+        });
+        this.elements.btnExportJson.addEventListener('click', () => {
+            if (this.game.handRecords.length > 0) {
+                HandHistoryExporter.download(this.game.handRecords, 'json');
+            }
         });
 
+        // ICM calculator
+        this.elements.btnIcm.addEventListener('click', () => this.toggleIcmPanel());
+        this.elements.icmClose.addEventListener('click', () => this.toggleIcmPanel(false));
+        this.elements.icmPayouts.addEventListener('input', () => this.renderIcmTable());
+
+        // Hand replayer
+        this.elements.btnReplay.addEventListener('click', () => this.openReplay());
+        this.elements.resultReplay.addEventListener('click', () => this.openReplay());
+        this.elements.replayHand.addEventListener('change', (e) => this.openReplay(parseInt(e.target.value, 10)));
+        this.elements.replayFirst.addEventListener('click', () => this.showReplayStep(0));
+        this.elements.replayPrev.addEventListener('click', () => this.showReplayStep(this.replayStep - 1));
+        this.elements.replayNext.addEventListener('click', () => this.showReplayStep(this.replayStep + 1));
+        this.elements.replayLast.addEventListener('click', () => this.showReplayStep(this.replay.length - 1));
+        this.elements.replayClose.addEventListener('click', () => this.closeReplay());
+
         // Keyboard shortcuts
         document.addEventListener('keydown', (e) => {
+            if (this.replay) {
+                const steps = { arrowleft: this.replayStep - 1, arrowright: this.replayStep + 1, home: 0, end: this.replay.length - 1 };
+                if (e.key.toLowerCase() in steps) {
+                    this.showReplayStep(steps[e.key.toLowerCase()]);
+                } else if (e.key === 'Escape') {
+                    this.closeReplay();
+                }
+                return;
+            }
+
             if (!this.game.waitingForHumanAction) return;
 
             switch (e.key.toLowerCase()) {
@@ -110,15 +246,21 @@ class UIController {
     // RENDERING METHODS
     // ============================================================================
 
-    updatePlayerDisplay(player, seatIndex) {
+    // Renders the live game by default; the hand replayer passes a recorded snapshot's bets and acting seat
+    updatePlayerDisplay(player, seatIndex, currentBets = this.game.currentBets, activeSeat = this.getActiveSeat()) {
         const seat = this.elements.seats[seatIndex];
         if (!seat) return;
 
+        // Players come and go in cash games, so the name can change too
+        seat.container.classList.remove('empty');
+        seat.container.classList.toggle('sitting-out', !!player.sittingOut);
+        seat.name.textContent = player.name;
+
         // Update stack
         seat.stack.textContent = `$${player.stack}`;
 
         // Update bet
-        const betAmount = this.game.currentBets[player.id] || 0;
+        const betAmount = currentBets[player.id] || 0;
         if (betAmount > 0) {
             seat.bet.textContent = `$${betAmount}`;
             seat.bet.classList.add('visible');
@@ -127,8 +269,8 @@ class UIController {
         }
 
         // Update status
-        if (player.lastAction) {
-            seat.status.textContent = player.lastAction;
+        if (player.lastAction || player.sittingOut) {
+            seat.status.textContent = player.sittingOut ? 'Sitting out' : player.lastAction;
             seat.status.classList.add('visible');
         } else {
             seat.status.classList.remove('visible');
@@ -142,17 +284,44 @@ class UIController {
         }
 
         // Update active state
-        if (this.game.currentPlayerIndex === seatIndex && player.canAct()) {
+        if (activeSeat === seatIndex && player.canAct()) {
             seat.container.classList.add('active');
         } else {
             seat.container.classList.remove('active');
         }
+
+        this.renderActionClock(player, seat);
     }
 
-    updateAllPlayers() {
-        for (let i = 0; i < this.game.players.length; i++) {
-            this.updatePlayerDisplay(this.game.players[i], i);
+    // The acting player's shot clock, then their time bank once it runs out
+    renderActionClock(player, seat = this.elements.seats[player.seat]) {
+        const clock = this.game.actionClock;
+        if (!clock || clock.player !== player) {
+            seat.clock.classList.remove('visible');
+            return;
         }
+
+        seat.clock.textContent = clock.usingTimeBank ? `Time bank ${player.timeBank}s` : `${clock.remaining}s`;
+        seat.clock.classList.add('visible');
+        seat.clock.classList.toggle('time-bank', clock.usingTimeBank);
+        seat.clock.classList.toggle('running-low', (clock.usingTimeBank ? player.timeBank : clock.remaining) <= 5);
+    }
+
+    // Seat index of the player to act, or -1
+    getActiveSeat() {
+        const player = this.game.players[this.game.currentPlayerIndex];
+        return player ? player.seat : -1;
+    }
+
+    updateAllPlayers() {
+        this.elements.seats.forEach((seat, seatIndex) => {
+            const player = this.game.seats[seatIndex];
+            if (player) {
+                this.updatePlayerDisplay(player, seatIndex);
+            } else {
+                seat.container.classList.add('empty');
+            }
+        });
     }
 
     renderCard(card, element) {
@@ -178,6 +347,25 @@ class UIController {
         element.innerHTML = '';
     }
 
+    // Seats are built with two card slots; Omaha needs four
+    ensureHoleCardSlots(count) {
+        this.elements.seats.forEach(seat => {
+            const container = seat.container.querySelector('.player-cards');
+
+            while (container.children.length < count) {
+                const slot = document.createElement('div');
+                slot.className = 'card-slot';
+                container.appendChild(slot);
+            }
+            while (container.children.length > count) {
+                container.removeChild(container.lastChild);
+            }
+
+            container.classList.toggle('four-cards', count === 4);
+            seat.cards = container.querySelectorAll('.card-slot');
+        });
+    }
+
     renderHoleCards(player, seatIndex) {
         const seat = this.elements.seats[seatIndex];
         if (!seat) return;
@@ -197,57 +385,103 @@ class UIController {
         }
     }
 
-    renderCommunityCards() {
-        this.game.communityCards.forEach((card, i) => {
+    renderCommunityCards(cards = this.game.communityCards) {
+        cards.forEach((card, i) => {
             this.renderCard(card, this.elements.communityCards[i]);
         });
     }
 
-    updatePot() {
-        const totalPot = this.game.getCurrentPotSize();
+    // A board run twice gets its own row under the first
+    renderSecondBoard(cards) {
+        this.elements.pokerTable.classList.add('run-twice');
+        cards.forEach((card, i) => {
+            this.renderCard(card, this.elements.secondBoard[i]);
+        });
+    }
+
+    // All-in runout: every hand still in is turned face up
+    revealHands(players) {
+        for (let player of players) {
+            const seat = this.elements.seats[player.seat];
+            player.holeCards.forEach((card, i) => {
+                this.renderCard(card, seat.cards[i]);
+            });
+        }
+    }
+
+    // Each hand's share of the pot from here, on the board being dealt
+    showEquities(equities, board = 1) {
+        for (let player of this.game.players) {
+            const seat = this.elements.seats[player.seat];
+            if (!(player.id in equities)) continue;
+            seat.equity.textContent = `${board === 2 ? 'Board 2: ' : ''}${Math.round(equities[player.id] * 100)}%`;
+            seat.equity.classList.add('visible');
+        }
+    }
+
+    clearEquities() {
+        this.elements.seats.forEach(seat => {
+            seat.equity.classList.remove('visible');
+        });
+    }
+
+    updatePot(totalPot = this.game.getCurrentPotSize(), pots = this.game.potManager.pots) {
         this.elements.potAmount.textContent = `$${totalPot}`;
+
+        // Break the collected chips into main and side pots once there is more than one
+        this.elements.sidePots.textContent = pots.length > 1
+            ? pots.map((pot, i) => `${i === 0 ? 'Main' : `Side ${i}`} $${pot.amount}`).join(' · ')
+            : '';
     }
 
-    updateDealerButton() {
+    updateDealerButton(buttonSeat = this.game.buttonSeat) {
         // Hide all dealer buttons
         this.elements.seats.forEach(seat => {
             seat.dealerButton.classList.remove('visible');
         });
 
         // Show dealer button on current dealer
-        const dealerSeat = this.elements.seats[this.game.dealerIndex];
+        const dealerSeat = this.elements.seats[buttonSeat];
         if (dealerSeat) {
             dealerSeat.dealerButton.classList.add('visible');
         }
     }
 
+    // Buttons and the bet slider follow the game's legal actions; the slider
+    // picks the total to bet or raise to
     updateActionButtons() {
-        const human = this.game.players[0];
-        const callAmount = this.game.currentBet - (this.game.currentBets[human.id] || 0);
-        const canCheck = callAmount === 0;
-        const canBet = this.game.currentBet === 0;
-        const canRaise = this.game.currentBet > 0;
+        const human = this.game.getHumanPlayer();
+        if (!human) return;
+        const waiting = this.game.waitingForHumanAction && !this.game.paused;
+        const legal = this.game.getLegalActions(human);
+        const can = (action) => waiting && legal.actions.includes(action);
 
         // Update button states
-        this.elements.btnFold.disabled = !this.game.waitingForHumanAction;
-        this.elements.btnCheck.disabled = !this.game.waitingForHumanAction || !canCheck;
-        this.elements.btnCall.disabled = !this.game.waitingForHumanAction || canCheck;
-        this.elements.btnBet.disabled = !this.game.waitingForHumanAction || !canBet;
-        this.elements.btnRaise.disabled = !this.game.waitingForHumanAction || !canRaise;
-        this.elements.btnAllIn.disabled = !this.game.waitingForHumanAction;
+        this.elements.btnFold.disabled = !can(PLAYER_ACTIONS.FOLD);
+        this.elements.btnCheck.disabled = !can(PLAYER_ACTIONS.CHECK);
+        this.elements.btnCall.disabled = !can(PLAYER_ACTIONS.CALL);
+        this.elements.btnBet.disabled = !can(PLAYER_ACTIONS.BET);
+        this.elements.btnRaise.disabled = !can(PLAYER_ACTIONS.RAISE);
+        // Pot-limit games cap the all-in button at the pot
+        const potLimited = legal.maxAmount !== null && legal.maxAmount < legal.allInAmount;
+        this.elements.btnAllIn.disabled = !(can(PLAYER_ACTIONS.ALL_IN) || (waiting && potLimited));
+        this.elements.btnAllIn.textContent = potLimited ? 'Pot' : 'All-In';
 
         // Update call button text
-        if (callAmount > 0) {
-            this.elements.btnCall.textContent = `Call $${callAmount}`;
+        if (legal.callAmount > 0) {
+            this.elements.btnCall.textContent = `Call $${legal.callAmount}`;
         } else {
             this.elements.btnCall.textContent = 'Call';
         }
 
         // Update bet slider range
-        this.elements.betSlider.min = this.game.bigBlind;
-        this.elements.betSlider.max = human.stack;
-        this.elements.betSlider.value = Math.min(this.currentBetAmount, human.stack);
-        this.currentBetAmount = parseInt(this.elements.betSlider.value);
+        if (legal.maxAmount !== null) {
+            this.elements.betSlider.min = legal.minAmount;
+            this.elements.betSlider.max = legal.maxAmount;
+            this.elements.betSlider.value = Math.min(Math.max(this.currentBetAmount, legal.minAmount), legal.maxAmount);
+            this.currentBetAmount = parseInt(this.elements.betSlider.value);
+        }
+        this.elements.betSlider.disabled = !waiting || legal.maxAmount === null;
         this.elements.betAmountValue.textContent = this.currentBetAmount;
     }
 
@@ -271,6 +505,10 @@ class UIController {
         this.elements.communityCards.forEach(slot => {
             this.clearCard(slot);
         });
+        this.elements.secondBoard.forEach(slot => {
+            this.clearCard(slot);
+        });
+        this.elements.pokerTable.classList.remove('run-twice');
     }
 
     clearAllCards() {
@@ -282,25 +520,41 @@ class UIController {
         });
     }
 
-    showHandResult(results, handEvaluations) {
+    // A board run twice lists each player's hand on both boards
+    showHandResult(results, handEvaluations, lowEvaluations = null, rake = 0, runouts = null) {
+        const boards = runouts && runouts.length > 1 ? runouts : [{ handEvaluations, lowEvaluations }];
         let html = '<div style="margin-bottom: 20px;">';
 
         // Show each player's hand
         for (let player of this.game.players) {
             if (player.folded) continue;
 
-            const evaluation = handEvaluations[player.id];
-
             // Find results for this player
             const playerResults = results.filter(r => r.playerId === player.id);
-            const totalWon = playerResults.filter(r => r.type === 'win').reduce((sum, r) => sum + r.amount, 0);
+            const totalWon = playerResults.filter(r => r.type !== 'return').reduce((sum, r) => sum + r.amount, 0);
             const totalReturned = playerResults.filter(r => r.type === 'return').reduce((sum, r) => sum + r.amount, 0);
 
             html += `<div style="margin-bottom: 12px; padding: 12px; background: rgba(255,255,255,0.05); border-radius: 8px;">`;
             html += `<div style="font-weight: 600; color: #fbbf24; margin-bottom: 4px;">${player.name}</div>`;
-            html += `<div style="color: rgba(255,255,255,0.8);">${HandEvaluator.getHandDescription(evaluation)}</div>`;
+            boards.forEach((board, i) => {
+                const label = boards.length > 1 ? `Board ${i + 1}: ` : '';
+                html += `<div style="color: rgba(255,255,255,0.8);">${label}${HandEvaluator.getHandDescription(board.handEvaluations[player.id])}</div>`;
+
+                if (board.lowEvaluations) {
+                    html += `<div style="color: rgba(255,255,255,0.6); font-size: 0.9em;">${LowHandEvaluator.getLowDescription(board.lowEvaluations[player.id])}</div>`;
+                }
+            });
 
-            if (totalWon > 0) {
+            if (totalWon > 0 && lowEvaluations) {
+                // Label split-pot payouts: high half, low half or the whole pot
+                const labels = { high: 'high', low: 'low', scoop: 'scoops' };
+                for (let type of ['scoop', 'high', 'low']) {
+                    const amount = playerResults.filter(r => r.type === type).reduce((sum, r) => sum + r.amount, 0);
+                    if (amount > 0) {
+                        html += `<div style="font-weight: 700; color: #10b981; margin-top: 4px;">Won $${amount} (${labels[type]})</div>`;
+                    }
+                }
+            } else if (totalWon > 0) {
                 html += `<div style="font-weight: 700; color: #10b981; margin-top: 4px;">Won $${totalWon}</div>`;
             }
 
@@ -311,17 +565,20 @@ class UIController {
             html += `</div>`;
         }
 
+        if (rake > 0) {
+            html += `<div style="color: rgba(255,255,255,0.6); font-size: 0.9em;">Rake: $${rake} (session total $${this.game.totalRake})</div>`;
+        }
+
         html += '</div>';
 
         this.elements.resultTitle.textContent = 'Showdown';
         this.elements.resultDetails.innerHTML = html;
-        this.elements.resultModal.classList.add('visible');
+        this.showResultModal();
 
         // Show all bot cards during showdown
-        for (let i = 0; i < this.game.players.length; i++) {
-            const player = this.game.players[i];
+        for (let player of this.game.players) {
             if (!player.folded && !player.isHuman) {
-                const seat = this.elements.seats[i];
+                const seat = this.elements.seats[player.seat];
                 player.holeCards.forEach((card, cardIndex) => {
                     this.renderCard(card, seat.cards[cardIndex]);
                 });
@@ -329,7 +586,99 @@ class UIController {
         }
     }
 
-    showSinglePlayerWin(winner, pot) {
+    // ============================================================================
+    // TOURNAMENT
+    // ============================================================================
+
+    updateTournamentClock() {
+        const tournament = this.game.tournament;
+        if (!tournament || !tournament.started) {
+            this.elements.tournamentClock.innerHTML = '';
+            return;
+        }
+
+        const clock = tournament.getClock();
+        const blinds = (level) => `$${level.smallBlind}/$${level.bigBlind}${level.ante ? ` ante $${level.ante}` : ''}`;
+        let remaining;
+        if (clock.levelBy === 'hands') {
+            remaining = `${clock.handsLeft} hand${clock.handsLeft === 1 ? '' : 's'} left`;
+        } else {
+            const seconds = Math.ceil(clock.msLeft / 1000);
+            remaining = `${Math.floor(seconds / 60)}:${String(seconds % 60).padStart(2, '0')} left`;
+        }
+
+        this.elements.tournamentClock.innerHTML =
+            `<span class="clock-level">Level ${clock.level}</span> ${blinds(clock)} · ${remaining}` +
+            (clock.next ? `<br>Next: ${blinds(clock.next)}` : '');
+    }
+
+    // 1 -> 1st, 2 -> 2nd, 11 -> 11th, 23 -> 23rd
+    ordinal(n) {
+        const suffixes = ['th', 'st', 'nd', 'rd'];
+        const v = n % 100;
+        return n + (suffixes[(v - 20) % 10] || suffixes[v] || suffixes[0]);
+    }
+
+    showTournamentResults(results, tournament) {
+        const rows = results.map(r => `
+          <tr>
+            <td>${this.ordinal(r.place)}</td>
+            <td>${r.name}</td>
+            <td class="payout">${r.payout > 0 ? `$${r.payout}` : ''}</td>
+          </tr>`).join('');
+
+        const html = `
+      <div style="text-align: center; margin-bottom: 12px; color: rgba(255,255,255,0.7);">
+        ${tournament.structure.name} · ${tournament.entrants.length} players · prize pool $${tournament.prizePool}
+      </div>
+      <table class="tournament-results">
+        <tr><th>Place</th><th>Player</th><th class="payout">Prize</th></tr>
+        ${rows}
+      </table>
+    `;
+
+        this.elements.resultTitle.textContent = `${results[0].name} wins the tournament!`;
+        this.elements.resultDetails.innerHTML = html;
+        this.showResultModal();
+    }
+
+    toggleIcmPanel(visible = !this.elements.icmPanel.classList.contains('visible')) {
+        if (visible && !this.elements.icmPayouts.value) {
+            // Start from the tournament's prizes, or a typical 50/30/20 split
+            const tournament = this.game.tournament;
+            const payouts = tournament && tournament.started
+                ? tournament.getPayouts().map(p => p.amount)
+                : [50, 30, 20];
+            this.elements.icmPayouts.value = payouts.join(', ');
+        }
+        this.elements.icmPanel.classList.toggle('visible', visible);
+        if (visible) this.renderIcmTable();
+    }
+
+    // Prize equity of everyone's chips, counting chips bet this street as still theirs
+    renderIcmTable() {
+        const payouts = this.elements.icmPayouts.value.split(',').map(Number).filter(n => n > 0);
+        const players = this.game.players.slice(0, 10);
+        const stacks = players.map(p => p.stack + (this.game.currentBets[p.id] || 0));
+        const totalChips = stacks.reduce((sum, stack) => sum + stack, 0);
+        const prizePool = payouts.reduce((sum, prize) => sum + prize, 0);
+        const equities = payouts.length > 0 ? ICMCalculator.equities(stacks, payouts) : stacks.map(() => 0);
+
+        const rows = players.map((player, i) => `
+          <tr>
+            <td>${player.name}</td>
+            <td>${stacks[i]}</td>
+            <td>${(100 * stacks[i] / totalChips).toFixed(1)}%</td>
+            <td class="payout">$${equities[i].toFixed(2)}</td>
+            <td>${prizePool > 0 ? (100 * equities[i] / prizePool).toFixed(1) : '0.0'}%</td>
+          </tr>`).join('');
+
+        this.elements.icmTable.innerHTML = `
+          <tr><th>Player</th><th>Chips</th><th>Chip %</th><th class="payout">$EV</th><th>Prize %</th></tr>
+          ${rows}`;
+    }
+
+    showSinglePlayerWin(winner, pot, rake = 0) {
         const html = `
       <div style="text-align: center; padding: 20px;">
         <div style="font-size: 20px; font-weight: 600; color: #fbbf24; margin-bottom: 12px;">
@@ -341,12 +690,198 @@ class UIController {
         <div style="margin-top: 12px; color: rgba(255,255,255,0.7);">
           All other players folded
         </div>
+        ${rake > 0 ? `<div style="margin-top: 8px; color: rgba(255,255,255,0.6); font-size: 0.9em;">Rake: $${rake}</div>` : ''}
       </div>
     `;
 
         this.elements.resultTitle.textContent = 'Hand Complete';
         this.elements.resultDetails.innerHTML = html;
+        this.showResultModal();
+    }
+
+    // ============================================================================
+    // TABLE MANAGEMENT
+    // ============================================================================
+
+    toggleSitOut() {
+        const human = this.game.getHumanPlayer();
+        if (!human) return;
+
+        try {
+            if (human.sittingOut) {
+                this.game.sitIn(human);
+            } else {
+                this.game.sitOut(human);
+            }
+        } catch (error) {
+            this.addLogEntry(`<span style="color: #f87171;">${error.message}</span>`);
+        }
+    }
+
+    rebuy() {
+        const human = this.game.getHumanPlayer();
+        if (!human) return;
+
+        try {
+            this.game.rebuy(human, parseInt(this.elements.rebuyAmount.value, 10));
+        } catch (error) {
+            this.addLogEntry(`<span style="color: #f87171;">${error.message}</span>`);
+        }
+    }
+
+    // Takes effect from the next time the human is in the straddle seat
+    toggleStraddle() {
+        this.game.humanStraddle = !this.game.humanStraddle;
+        this.updateTableControls();
+    }
+
+    // Whether the human agrees to run the board twice when all-in
+    toggleRunItTwice() {
+        this.game.humanRunItTwice = !this.game.humanRunItTwice;
+        this.updateTableControls();
+    }
+
+    togglePause() {
+        if (this.game.paused) {
+            this.game.resume();
+        } else {
+            this.game.pause();
+        }
+    }
+
+    // The action clock stands still while the result is on screen
+    showResultModal() {
         this.elements.resultModal.classList.add('visible');
+        this.game.pauseClock('result');
+    }
+
+    hideResultModal() {
+        this.elements.resultModal.classList.remove('visible');
+        this.game.resumeClock('result');
+    }
+
+    // Rebuys are limited to what keeps the stack within the table's buy-in range
+    updateTableControls() {
+        const human = this.game.getHumanPlayer();
+        const hidden = !human || !!this.game.tournament;
+        this.elements.tableControls.classList.toggle('hidden', hidden);
+        if (hidden) return;
+
+        const chips = human.stack + human.pendingBuyIn;
+        const room = this.game.buyIn.max - chips;
+        const least = Math.max(1, this.game.buyIn.min - chips);
+        const input = this.elements.rebuyAmount;
+
+        this.elements.btnSitOut.textContent = human.sittingOut ? 'Sit In' : 'Sit Out';
+        this.elements.btnRebuy.textContent = chips === 0 ? 'Rebuy' : 'Top Up';
+        this.elements.btnRebuy.disabled = room < least;
+        this.elements.btnStraddle.classList.toggle('hidden', !this.game.straddle);
+        this.elements.btnStraddle.textContent = `Straddle: ${this.game.humanStraddle ? 'On' : 'Off'}`;
+        this.elements.btnRunItTwice.classList.toggle('hidden', !this.game.runItTwice);
+        this.elements.btnRunItTwice.textContent = `Run it twice: ${this.game.humanRunItTwice ? 'Yes' : 'No'}`;
+        input.min = least;
+        input.max = room;
+        const value = parseInt(input.value, 10);
+        if (!(value >= least && value <= room)) {
+            input.value = Math.max(room, 0);
+        }
+    }
+
+    // ============================================================================
+    // HAND REPLAYER
+    // ============================================================================
+
+    openReplay(recordIndex = this.game.handRecords.length - 1) {
+        const record = this.game.handRecords[recordIndex];
+        if (!record) return;
+
+        this.replay = new HandReplay(record);
+        this.replayRecordIndex = recordIndex;
+        this.replayStep = 0;
+
+        this.elements.replayHand.innerHTML = this.game.handRecords
+            .map((r, i) => `<option value="${i}"${i === recordIndex ? ' selected' : ''}>Hand #${r.handNumber}</option>`)
+            .join('');
+        this.hideResultModal();
+        this.game.pauseClock('replay');
+        this.elements.replayPanel.classList.add('visible');
+        this.renderReplayStep();
+    }
+
+    closeReplay() {
+        this.replay = null;
+        this.game.resumeClock('replay');
+        this.elements.replayPanel.classList.remove('visible');
+        this.renderLiveTable();
+    }
+
+    showReplayStep(step) {
+        if (!this.replay) return;
+        this.replayStep = Math.max(0, Math.min(step, this.replay.length - 1));
+        this.renderReplayStep();
+    }
+
+    // Draws the recorded snapshot on the table; every hole card is shown face up for review
+    renderReplayStep() {
+        const state = this.replay.steps[this.replayStep];
+        const holeCards = Math.max(...state.players.map(p => p.holeCards.length), 2);
+
+        this.ensureHoleCardSlots(holeCards);
+        this.clearAllCards();
+        this.clearEquities();
+        this.renderCommunityCards(state.communityCards);
+        if (state.secondBoard.length > 0) {
+            this.renderSecondBoard(state.secondBoard);
+        }
+
+        this.elements.seats.forEach((seat, seatIndex) => {
+            const player = state.players.find(p => p.seat - 1 === seatIndex);
+            if (!player) {
+                // Nobody was dealt in from this seat
+                seat.stack.textContent = '';
+                seat.bet.classList.remove('visible');
+                seat.status.classList.remove('visible');
+                seat.container.classList.add('folded');
+                seat.container.classList.remove('active');
+                return;
+            }
+
+            const activeSeat = state.actingPlayerId === player.id ? seatIndex : -1;
+            this.updatePlayerDisplay(player, seatIndex, state.currentBets, activeSeat);
+            player.holeCards.forEach((card, i) => {
+                if (seat.cards[i]) this.renderCard(card, seat.cards[i]);
+            });
+        });
+
+        this.updatePot(state.pot, state.pots);
+        this.updateDealerButton(state.buttonSeat - 1);
+
+        this.elements.replayStep.textContent = `${this.replayStep + 1}/${this.replay.length} · ${state.label}`;
+        this.elements.replayFirst.disabled = this.replayStep === 0;
+        this.elements.replayPrev.disabled = this.replayStep === 0;
+        this.elements.replayNext.disabled = this.replayStep === this.replay.length - 1;
+        this.elements.replayLast.disabled = this.replayStep === this.replay.length - 1;
+    }
+
+    // Puts the live game back on the table after a replay
+    renderLiveTable() {
+        this.ensureHoleCardSlots(this.game.variant.holeCards);
+        this.clearAllCards();
+        this.renderCommunityCards();
+        if (this.game.secondBoard.length > 0) {
+            this.renderSecondBoard(this.game.secondBoard);
+        }
+        this.updateAllPlayers();
+        for (let player of this.game.players) {
+            this.renderHoleCards(player, player.seat);
+        }
+        if (this.game.runout) {
+            this.revealHands(this.game.players.filter(p => !p.folded));
+            this.showEquities(this.game.runout.equities, this.game.runout.board);
+        }
+        this.updatePot();
+        this.updateDealerButton();
+        this.updateActionButtons();
     }
 
     // ============================================================================
@@ -354,17 +889,70 @@ class UIController {
     // ============================================================================
 
     handleGameEvent(event, data) {
+        // While a hand is being replayed the replayer owns the table; the log keeps running
+        if (this.replay && event !== 'actionLogged') return;
+
         switch (event) {
             case 'playersInitialized':
+                this.ensureHoleCardSlots(this.game.variant.holeCards);
                 this.updateAllPlayers();
                 this.updateDealerButton();
+                this.updateTableControls();
+                this.addLogEntry(`<span style="color: #fbbf24; font-weight: 600;">${this.game.variant.name}</span>`);
+                break;
+
+            case 'levelUp':
+                this.addLogEntry(`<span style="color: #fbbf24; font-weight: 600;">Level ${data.level}: blinds $${data.smallBlind}/$${data.bigBlind}${data.ante ? `, ante $${data.ante}` : ''}</span>`);
+                break;
+
+            case 'playerEliminated':
+                this.addLogEntry(`<span class="player-name">${data.player.name}</span> finishes ${this.ordinal(data.place)}`);
+                break;
+
+            case 'playerJoined':
+                // The starting line-up is announced by playersInitialized
+                if (this.game.handNumber > 0) {
+                    this.addLogEntry(`<span class="player-name">${data.player.name}</span> sits down with <span class="amount">$${data.player.stack}</span>`);
+                    this.updateAllPlayers();
+                }
+                break;
+
+            case 'playerLeft':
+                this.addLogEntry(`<span class="player-name">${data.player.name}</span> leaves the table with <span class="amount">$${data.cashOut}</span>`);
+                this.updateAllPlayers();
+                break;
+
+            case 'playerSatOut':
+                this.addLogEntry(`<span class="player-name">${data.player.name}</span> sits out`);
+                this.updateAllPlayers();
+                this.updateTableControls();
+                break;
+
+            case 'playerSatIn':
+                this.addLogEntry(`<span class="player-name">${data.player.name}</span> is back${data.owesBigBlind ? ' and will post the big blind' : ''}`);
+                this.updateAllPlayers();
+                this.updateTableControls();
+                break;
+
+            case 'playerRebuy':
+                this.addLogEntry(`<span class="player-name">${data.player.name}</span> adds <span class="amount">$${data.amount}</span>${data.pending ? ' for the next hand' : ''}`);
+                this.updateAllPlayers();
+                this.updateTableControls();
+                break;
+
+            case 'waitingForPlayers':
+                this.addLogEntry(`<span style="color: #fbbf24; font-weight: 600;">Waiting for players: sit in or rebuy to deal the next hand</span>`);
+                this.updateAllPlayers();
                 break;
 
             case 'newHand':
+                this.updateTournamentClock();
+                this.updateTableControls();
                 this.clearAllCards();
+                this.clearEquities();
                 this.updateDealerButton();
                 this.updatePot();
-                this.addLogEntry(`<span style="color: #fbbf24; font-weight: 600;">━━━ Hand #${data.handNumber} ━━━</span>`);
+                this.addLogEntry(`<span style="color: #fbbf24; font-weight: 600;">━━━ Hand #${data.handNumber} ━━━</span> <span style="color: rgba(255,255,255,0.5); font-size: 0.85em;">seed ${data.seed}</span>`);
                 break;
 
             case 'blindsPosted':
@@ -373,8 +961,8 @@ class UIController {
                 break;
 
             case 'holeCardsDealt':
-                for (let i = 0; i < this.game.players.length; i++) {
-                    this.renderHoleCards(this.game.players[i], i);
+                for (let player of this.game.players) {
+                    this.renderHoleCards(player, player.seat);
                 }
                 break;
 
@@ -384,10 +972,30 @@ class UIController {
                 break;
 
             case 'actionProcessed':
-                this.updatePlayerDisplay(data.player, this.game.players.indexOf(data.player));
+                this.updatePlayerDisplay(data.player, data.player.seat);
                 this.updatePot();
                 break;
 
+            case 'actionClock':
+                this.renderActionClock(data.player);
+                break;
+
+            case 'timeBankStarted':
+                this.addLogEntry(`<span class="player-name">${data.player.name}</span> is using the time bank (${data.timeBank}s)`);
+                break;
+
+            case 'actionTimeout':
+                this.renderActionClock(data.player);
+                this.updateActionButtons();
+                break;
+
+            case 'gamePaused':
+            case 'gameResumed':
+                this.elements.btnPause.textContent = this.game.paused ? 'Resume' : 'Pause';
+                this.updateActionButtons();
+                this.addLogEntry(`<span style="color: #fbbf24; font-weight: 600;">Game ${this.game.paused ? 'paused' : 'resumed'}</span>`);
+                break;
+
             case 'actionLogged':
                 let logText = `<span class="player-name">${data.player}</span> ${data.action}`;
                 if (data.amount) {
@@ -419,21 +1027,38 @@ class UIController {
                 this.addLogEntry(`<span style="color: #3b82f6; font-weight: 600;">River dealt</span>`);
                 break;
 
+            case 'allInRunout':
+                this.revealHands(data.players);
+                this.addLogEntry(`<span style="color: #f97316; font-weight: 600;">All-in${data.runItTwice ? ', running it twice' : ''}</span>`);
+                break;
+
+            case 'runoutEquities':
+                this.showEquities(data.equities, data.board);
+                break;
+
+            case 'secondBoardDealt':
+                this.renderSecondBoard(data.board);
+                this.addLogEntry(`<span style="color: #3b82f6; font-weight: 600;">Second ${data.street} dealt</span>`);
+                break;
+
             case 'showdown':
                 this.addLogEntry(`<span style="color: #fbbf24; font-weight: 600;">Showdown!</span>`);
                 break;
 
             case 'potsDistributed':
-                this.showHandResult(data.results, data.handEvaluations);
+                this.showHandResult(data.results, data.handEvaluations, data.lowEvaluations, data.rake, data.runouts);
                 this.updateAllPlayers();
                 break;
 
             case 'singlePlayerWin':
-                this.showSinglePlayerWin(data.winner, data.pot);
+                this.showSinglePlayerWin(data.winner, data.pot, data.rake);
                 this.updateAllPlayers();
                 break;
 
             case 'handComplete':
+                if (this.elements.icmPanel.classList.contains('visible')) {
+                    this.renderIcmTable();
+                }
                 // Reset player statuses
                 this.elements.seats.forEach(seat => {
                     seat.status.classList.remove('visible');
@@ -441,6 +1066,10 @@ class UIController {
                 break;
 
             case 'gameOver':
+                if (data.results) {
+                    this.showTournamentResults(data.results, data.tournament);
+                    break;
+                }
                 const html = `
           <div style="text-align: center; padding: 20px;">
             <div style="font-size: 24px; font-weight: 700; color: #fbbf24; margin-bottom: 16px;">
@@ -453,12 +1082,145 @@ class UIController {
         `;
                 this.elements.resultTitle.textContent = 'Victory!';
                 this.elements.resultDetails.innerHTML = html;
-                this.elements.resultModal.classList.add('visible');
+                this.showResultModal();
                 break;
         }
     }
 }
 
+// ============================================================================
+// TABLE SETUP
+// ============================================================================
+
+// The setup screen shown before the first deal: table size, stakes and the
+// personality in each bot seat. A sit & go brings its own stack and blinds.
+class TableSetup {
+    constructor(options, onStart) {
+        this.options = options;
+        this.onStart = onStart;
+        this.botSelects = [];
+        this.elements = {
+            modal: document.getElementById('setup-modal'),
+            seats: document.getElementById('setup-seats'),
+            stack: document.getElementById('setup-stack'),
+            smallBlind: document.getElementById('setup-small-blind'),
+            bigBlind: document.getElementById('setup-big-blind'),
+            ante: document.getElementById('setup-ante'),
+            anteType: document.getElementById('setup-ante-type'),
+            straddle: document.getElementById('setup-straddle'),
+            runItTwice: document.getElementById('setup-run-it-twice'),
+            buttonRule: document.getElementById('setup-button-rule'),
+            actionTime: document.getElementById('setup-action-time'),
+            timeBank: document.getElementById('setup-time-bank'),
+            bots: document.getElementById('setup-bots'),
+            error: document.getElementById('setup-error'),
+            start: document.getElementById('setup-start')
+        };
+
+        this.render({ ...DEFAULT_TABLE_CONFIG, ...options.table });
+        this.elements.seats.addEventListener('change', () => this.renderBots(parseInt(this.elements.seats.value, 10)));
+        this.elements.start.addEventListener('click', () => this.start());
+    }
+
+    render(config) {
+        const { seats, stack, smallBlind, bigBlind, ante, anteType, straddle, runItTwice, buttonRule, actionTime, timeBank } = this.elements;
+
+        seats.innerHTML = '';
+        for (let count = 2; count <= MAX_TABLE_SEATS; count++) {
+            const option = document.createElement('option');
+            option.value = count;
+            option.textContent = count === 2 ? '2 (heads-up)' : `${count}`;
+            seats.appendChild(option);
+        }
+        seats.value = config.seats;
+
+        const tournament = this.options.tournament;
+        const level = tournament ? tournament.currentLevel : config;
+        stack.value = tournament ? tournament.startingStack : config.startingStack;
+        smallBlind.value = level.smallBlind;
+        bigBlind.value = level.bigBlind;
+        ante.value = level.ante;
+        anteType.value = config.anteType;
+        straddle.value = config.straddle || '';
+        runItTwice.value = config.runItTwice ? 'yes' : 'no';
+        buttonRule.value = config.buttonRule;
+        actionTime.value = config.actionTime;
+        timeBank.value = config.timeBank;
+        // Tournament levels set the stakes, and tournaments have no straddles
+        // or second boards
+        for (let input of [stack, smallBlind, bigBlind, ante, straddle, runItTwice]) {
+            input.disabled = !!tournament;
+        }
+
+        this.renderBots(config.seats, config.bots);
+    }
+
+    // One personality picker per bot seat; choices already made are kept when
+    // the table size changes
+    renderBots(seatCount, bots = null) {
+        const chosen = bots || this.botSelects.map(select => select.value);
+        const lineup = TexasHoldemGame.defaultLineup();
+
+        this.elements.bots.innerHTML = '';
+        this.botSelects = [];
+        for (let i = 1; i < seatCount; i++) {
+            const label = document.createElement('label');
+            label.textContent = `Seat ${i + 1}`;
+
+            const select = document.createElement('select');
+            for (let personality of Object.values(BOT_PERSONALITIES)) {
+                const option = document.createElement('option');
+                option.value = personality;
+                option.textContent = personality.replace('_', ' ').replace(/^\w/, c => c.toUpperCase());
+                select.appendChild(option);
+            }
+            const entry = chosen[i - 1];
+            select.value = (entry && (entry.personality || entry)) || lineup[i - 1].personality;
+
+            label.appendChild(select);
+            this.elements.bots.appendChild(label);
+            this.botSelects.push(select);
+        }
+    }
+
+    getTableConfig() {
+        return {
+            ...this.options.table,
+            seats: parseInt(this.elements.seats.value, 10),
+            startingStack: parseInt(this.elements.stack.value, 10),
+            smallBlind: parseInt(this.elements.smallBlind.value, 10),
+            bigBlind: parseInt(this.elements.bigBlind.value, 10),
+            ante: parseInt(this.elements.ante.value, 10) || 0,
+            anteType: this.elements.anteType.value,
+            straddle: this.elements.straddle.value || null,
+            runItTwice: this.elements.runItTwice.value === 'yes',
+            buttonRule: this.elements.buttonRule.value,
+            actionTime: parseInt(this.elements.actionTime.value, 10) || 0,
+            timeBank: parseInt(this.elements.timeBank.value, 10) || 0,
+            bots: this.botSelects.map(select => select.value)
+        };
+    }
+
+    start() {
+        const table = this.getTableConfig();
+        try {
+            TexasHoldemGame.resolveTableConfig(table);
+        } catch (error) {
+            this.elements.error.textContent = error.message;
+            return;
+        }
+
+        // Anything else the game can't be dealt with stays on the setup screen
+        try {
+            this.onStart({ ...this.options, table });
+        } catch (error) {
+            this.elements.error.textContent = error.message;
+            return;
+        }
+        this.elements.modal.classList.remove('visible');
+    }
+}
+
 // ============================================================================
 // INITIALIZE GAME
 // ============================================================================
@@ -467,19 +1229,121 @@ let game;
 let ui;
 
 window.addEventListener('DOMContentLoaded', () => {
-    // Create game instance
-    game = new TexasHoldemGame((event, data) => {
-        ui.handleGameEvent(event, data);
-    });
+    // A session can be replayed by loading the page with ?seed=<sessionSeed>
+    const params = new URLSearchParams(window.location.search);
+    const options = {};
+    // URL settings that can't be used, shown on the setup screen
+    const notices = [];
+    if (params.has('seed')) {
+        // Session seeds are whole numbers below 2^32; anything else would be
+        // dealt as some other seed and couldn't be replayed
+        const seed = params.get('seed').trim();
+        if (/^\d+$/.test(seed) && Number(seed) <= 0xFFFFFFFF) {
+            options.seed = Number(seed);
+        } else {
+            notices.push(`Ignoring seed "${seed}": seeds are whole numbers from 0 to ${0xFFFFFFFF}.`);
+        }
+    }
+    // ?variant=plo deals Pot-Limit Omaha, ?variant=short-deck deals 6+ Hold'em,
+    // ?variant=omaha-hi-lo and ?variant=holdem-hi-lo deal split-pot games
+    // (add &tripsBeatStraight=false for the original straight-over-trips order)
+    if (params.has('variant')) {
+        const variant = params.get('variant');
+        if (Object.values(GAME_VARIANTS).some(v => v.id === variant)) {
+            options.variant = variant;
+        } else {
+            notices.push(`Unknown game variant "${variant}"; dealing Texas Hold'em instead.`);
+        }
+    }
+    if (params.has('tripsBeatStraight')) {
+        options.tripsBeatStraight = params.get('tripsBeatStraight') !== 'false';
+    }
+    // ?tournament=turbo (or standard, deep) plays a sit & go; &payouts=60,30,10
+    // overrides the preset's payout percentages; anything else deals a cash game
+    if (params.has('tournament')) {
+        const payouts = params.has('payouts') ? params.get('payouts').split(',').map(Number) : undefined;
+        try {
+            options.tournament = new Tournament(params.get('tournament'), { payouts });
+        } catch (error) {
+            notices.push(`${error.message}; dealing a cash game instead.`);
+        }
+    }
 
-    // Create UI controller
-    ui = new UIController(game);
+    // ?seats=9&stack=2000&blinds=10/20&ante=10&anteType=big-blind&straddle=utg
+    // &runItTwice=true&buttonRule=moving&actionTime=30&timeBank=60 fill in the
+    // setup screen
+    options.table = {};
+    if (params.has('seats')) {
+        const seats = params.get('seats').trim();
+        if (/^\d+$/.test(seats) && Number(seats) >= 2 && Number(seats) <= MAX_TABLE_SEATS) {
+            options.table.seats = Number(seats);
+        } else {
+            notices.push(`Ignoring seats "${seats}": tables have 2 to ${MAX_TABLE_SEATS} seats.`);
+        }
+    }
+    if (params.has('stack')) {
+        options.table.startingStack = parseInt(params.get('stack'), 10);
+    }
+    if (params.has('blinds')) {
+        const [smallBlind, bigBlind] = params.get('blinds').split('/').map(Number);
+        Object.assign(options.table, { smallBlind, bigBlind });
+    }
+    if (params.has('ante')) {
+        options.table.ante = parseInt(params.get('ante'), 10);
+    }
+    if (params.has('anteType')) {
+        options.table.anteType = params.get('anteType');
+    }
+    if (params.has('straddle')) {
+        options.table.straddle = params.get('straddle');
+    }
+    if (params.has('runItTwice')) {
+        options.table.runItTwice = params.get('runItTwice') === 'true';
+    }
+    if (params.has('buttonRule')) {
+        options.table.buttonRule = params.get('buttonRule');
+    }
+    if (params.has('actionTime')) {
+        options.table.actionTime = parseInt(params.get('actionTime'), 10);
+    }
+    if (params.has('timeBank')) {
+        options.table.timeBank = parseInt(params.get('timeBank'), 10);
+    }
+    // &rake=5&rakeCap=30 takes a 5% rake capped at $30 (no flop, no drop)
+    if (params.has('rake')) {
+        const rake = { percentage: Number(params.get('rake')) };
+        if (params.has('rakeCap')) {
+            rake.cap = Number(params.get('rakeCap'));
+        }
+        // The setup screen has no rake fields to correct it from
+        try {
+            TexasHoldemGame.validateRake(rake);
+            options.table.rake = rake;
+        } catch (error) {
+            notices.push(`${error.message}; dealing without a rake.`);
+        }
+    }
+
+    // The table is paced by real timers so bots appear to think
+    options.scheduler = new TimerScheduler();
+
+    // The game is created once the table is set up
+    const setup = new TableSetup(options, (gameOptions) => {
+        game = new TexasHoldemGame((event, data) => {
+            ui.handleGameEvent(event, data);
+        }, gameOptions);
 
-    // Initialize players
-    game.initializePlayers();
+        // Create UI controller
+        ui = new UIController(game);
+
+        // Initialize players
+        game.initializePlayers();
+
+        // Start first hand
+        setTimeout(() => {
+            game.startNewHand();
+        }, 1000);
+    });
 
-    // Start first hand
-    setTimeout(() => {
-        game.startNewHand();
-    }, 1000);
+    setup.elements.error.textContent = notices.join(' ');
 });
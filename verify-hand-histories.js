@@ -0,0 +1,61 @@
+// ============================================================================
+// HAND HISTORY VERIFIER
+// ============================================================================
+//
+// Usage: node verify-hand-histories.js <file> [<file> ...]
+//
+// Parses text (PokerStars-style) or JSON hand histories, replays every hand
+// through PotManager and reports hands whose recorded pot or payouts differ
+// from what the engine computes. Exits with code 1 when any hand disagrees
+// or any file can't be read.
+
+const { HandReplayer } = require('./hand-history-import.js');
+
+function main(files) {
+    if (files.length === 0) {
+        console.log('Usage: node verify-hand-histories.js <file> [<file> ...]');
+        process.exitCode = 1;
+        return;
+    }
+
+    let checked = 0;
+    let failed = 0;
+    let unreadable = 0;
+
+    for (let file of files) {
+        let reports;
+        try {
+            reports = HandReplayer.verifyFile(file);
+        } catch (error) {
+            console.log(`${file}: could not be read (${error.message})`);
+            unreadable++;
+            continue;
+        }
+
+        for (let report of reports) {
+            checked++;
+            if (report.ok) continue;
+
+            failed++;
+            console.log(`${file} hand #${report.handNumber}:`);
+            for (let issue of report.issues) {
+                console.log(`  ${issue}`);
+            }
+            // Amounts as the file writes them: dollars and cents in cents games
+            const money = (chips) => `$${report.chipScale > 1 ? (chips / report.chipScale).toFixed(2) : chips}`;
+            for (let mismatch of report.mismatches) {
+                console.log(`  ${mismatch.player}: engine pays ${money(mismatch.expected)}, history says ${money(mismatch.recorded)}`);
+            }
+        }
+    }
+
+    console.log(`\nChecked ${checked} hands: ${checked - failed} agree, ${failed} disagree.`);
+    if (unreadable > 0) {
+        console.log(`${unreadable} of ${files.length} files could not be read.`);
+    }
+    if (failed > 0 || unreadable > 0) {
+        process.exitCode = 1;
+    }
+}
+
+main(process.argv.slice(2));